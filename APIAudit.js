@@ -0,0 +1,284 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const fs = require('fs');
+const config = require('./APIConfig.js');
+const db = require('./APIDatabase.js');
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// AUDIT SINKS
+// ---------------------------------------------------------------------------------
+/**
+ * Writes audit entries into the table api_audit_log
+ */
+class APIDatabaseAuditSink {
+    /**
+     * Inserts an entry into api_audit_log
+     * @async
+     * @param {AuditEntry} entry the entry to write
+     */
+    async write(entry) {
+        await db.query(
+            'INSERT INTO '+config.db.auth_database+'.api_audit_log (created_date, event, method_path, user_id, actor_user_id, api_key_id, ip, user_agent, success, error_code, duration, parameters, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            entry.created_date, entry.event, entry.method_path, entry.user_id, entry.actor_user_id, entry.api_key_id, entry.ip, entry.user_agent,
+            (entry.success ? 1 : 0), entry.error_code, entry.duration,
+            (entry.parameters !== null ? JSON.stringify(entry.parameters) : null),
+            (entry.details !== null ? JSON.stringify(entry.details) : null)
+        );
+    }
+}
+
+/**
+ * Appends audit entries to a file, one JSON-object per line
+ */
+class APIFileAuditSink {
+    /**
+     * Creates a new sink, the file is opened when the first entry is written
+     * @param {string} path path of the file
+     */
+    constructor(path) {
+        this.path = path;
+        this.stream = null;
+    }
+
+    /**
+     * Appends an entry to the file
+     * @async
+     * @param {AuditEntry} entry the entry to write
+     */
+    async write(entry) {
+        if(this.stream === null) {
+            this.stream = fs.createWriteStream(this.path, { flags : 'a' });
+            this.stream.on('error', (err) => {
+                logger.error('Error writing the audit log', { file : this.path, error : err });
+            });
+        }
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    /**
+     * Closes the file
+     * @async
+     */
+    async close() {
+        if(this.stream !== null) {
+            let stream = this.stream;
+            this.stream = null;
+            await new Promise((resolve) => {
+                stream.end(resolve);
+            });
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// APIAudit CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class records method calls and security events (logins, logouts, ...) in the audit log.
+ * Calls made as another user (see as_user) are always recorded, even if config.audit.calls is false or the method sets audit=false.
+ * Entries are passed to all sinks configured in config.audit.sinks. A sink is either the name of a built-in sink
+ * ('database' writes into api_audit_log, 'file' appends JSON-lines to config.audit.file) or an object with an
+ * async method write(entry) and optionally an async method close().
+ * Errors of sinks are logged, they never fail the call that is being recorded.
+ */
+class APIAudit {
+    /**
+     * @typedef {Object} AuditEntry
+     * @property {Date} created_date time the entry was recorded at
+     * @property {string} event 'call' for method calls, the name of the event for security events (e.g. 'login')
+     * @property {string|null} method_path path of the called method
+     * @property {integer|null} user_id ID of the user who made the call or whom the event concerns
+     * @property {integer|null} actor_user_id ID of the user who made the call in the name of user_id (see as_user)
+     * @property {integer|null} api_key_id ID of the API key the call was made with
+     * @property {string|null} ip IP of the client
+     * @property {string|null} user_agent user agent of the client
+     * @property {boolean} success whether the call succeeded
+     * @property {string|null} error_code code of the error if the call failed
+     * @property {integer|null} duration milliseconds the call took
+     * @property {Object|null} parameters redacted parameters of the call, for methods with audit=true
+     * @property {Object|null} details additional information about a security event
+     */
+    /**
+     * Creates a new instance of APIAudit
+     */
+    constructor() {
+        this.sinks = null;
+        // writes that have not finished yet, close() waits for them
+        this.pending = new Set();
+    }
+
+    /**
+     * Replaces the configured sinks
+     * @param {Object[]} sinks the new sinks, objects with an async method write(entry)
+     */
+    setSinks(sinks) {
+        this.sinks = sinks;
+    }
+
+    /**
+     * Gets the sinks, on first use they are created from config.audit.sinks
+     * @returns {Object[]} the sinks
+     */
+    getSinks() {
+        if(this.sinks === null) {
+            this.sinks = config.audit.sinks.map((sink) => {
+                switch(sink) {
+                    case 'database':
+                        return new APIDatabaseAuditSink();
+                    case 'file':
+                        return new APIFileAuditSink(config.audit.file);
+                    default:
+                        return sink;
+                }
+            });
+        }
+        return this.sinks;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // RECORDING
+    // ---------------------------------------------------------------------------------
+    /**
+     * Records a method call. Methods with audit=false are not recorded unless they were called as another user,
+     * parameters are only recorded (redacted) for methods with audit=true.
+     * @async
+     * @param {Object} call
+     * @param {APIMethod} call.method the called method
+     * @param {Object} call.parms parameters of the call
+     * @param {Object|null} call.session session the method was executed with
+     * @param {Object} call.request the request the call was made with
+     * @param {APIResponse|null} call.methodResponse the response of the method
+     * @param {integer} call.duration milliseconds the call took
+     */
+    async call({ method, parms, session, request, methodResponse, duration }) {
+        let impersonated = (session !== null && session !== undefined && session.actor_user_id !== undefined);
+        if(!config.audit.enabled || (!impersonated && (!config.audit.calls || method.audit === false))) {
+            return;
+        }
+        let parameters = null;
+        if(method.audit === true) {
+            parameters = {};
+            for(let parm of method.parameters) {
+                if(parms[parm.key] !== undefined) {
+                    parameters[parm.key] = parms[parm.key];
+                }
+            }
+            parameters = this.redact(parameters);
+        }
+        let success = (methodResponse !== null && methodResponse.success === true);
+        await this.record({
+            event : 'call',
+            method_path : method.path,
+            session : session,
+            request : request,
+            success : success,
+            error_code : (!success && methodResponse !== null && methodResponse.code !== undefined ? methodResponse.code : null),
+            duration : duration,
+            parameters : parameters
+        });
+    }
+
+    /**
+     * Records a security event
+     * @async
+     * @param {string} event name of the event, e.g. 'login', 'login_failed', 'logout'
+     * @param {Object} properties
+     * @param {Object|null} [properties.session=null] session of the user who caused the event
+     * @param {integer|null} [properties.userID=null] ID of the user the event concerns, defaults to the user of the session
+     * @param {Object|null} [properties.request=null] the request that caused the event
+     * @param {boolean} [properties.success=true] whether the action succeeded
+     * @param {Object|null} [properties.details=null] additional information, it is redacted before it is recorded
+     */
+    async event(event, { session = null, userID = null, request = null, success = true, details = null } = {}) {
+        if(!config.audit.enabled) {
+            return;
+        }
+        await this.record({
+            event : event,
+            session : session,
+            userID : userID,
+            request : request,
+            success : success,
+            details : (details !== null ? this.redact(details) : null)
+        });
+    }
+
+    /**
+     * Builds an entry and passes it to all sinks
+     * @async
+     * @param {Object} properties properties of the entry, session, userID and request are resolved into the matching columns
+     */
+    async record({ event, method_path = null, session = null, userID = null, request = null, success, error_code = null, duration = null, parameters = null, details = null }) {
+        let userAgent = (request !== null && request !== undefined && request.headers !== undefined ? request.headers['user-agent'] : undefined);
+        let entry = {
+            created_date : new Date(),
+            event : event,
+            method_path : method_path,
+            user_id : (userID !== null ? userID : (session !== null && session !== undefined && session.user_id !== undefined ? session.user_id : null)),
+            actor_user_id : (session !== null && session !== undefined && session.actor_user_id !== undefined ? session.actor_user_id : null),
+            api_key_id : (session !== null && session !== undefined && session.api_key_id !== undefined ? session.api_key_id : null),
+            ip : (request !== null && request !== undefined && request.ip !== undefined ? request.ip : null),
+            user_agent : (userAgent !== undefined ? userAgent.substr(0, 255) : null),
+            success : success,
+            error_code : error_code,
+            duration : duration,
+            parameters : parameters,
+            details : details
+        };
+        let writing = this.write(entry);
+        this.pending.add(writing);
+        try {
+            await writing;
+        } finally {
+            this.pending.delete(writing);
+        }
+    }
+
+    /**
+     * Passes an entry to all sinks
+     * @async
+     * @param {AuditEntry} entry the entry to write
+     */
+    async write(entry) {
+        for(let sink of this.getSinks()) {
+            try {
+                await sink.write(entry);
+            } catch(err) {
+                logger.error('Error writing an audit entry', { error : err });
+            }
+        }
+    }
+
+    /**
+     * Replaces the values of all properties listed in config.audit.redact, in nested objects and arrays as well
+     * @param {any} value the value to redact
+     * @returns {any} a redacted copy of the value
+     */
+    redact(value) {
+        return logger.redact(value, config.audit.redact);
+    }
+
+    /**
+     * Waits for all pending writes and closes all sinks
+     * @async
+     */
+    async close() {
+        await Promise.allSettled([...this.pending]);
+        if(this.sinks === null) {
+            return;
+        }
+        for(let sink of this.sinks) {
+            if(typeof sink.close === 'function') {
+                try {
+                    await sink.close();
+                } catch(err) {
+                    logger.error('Error closing an audit sink', { error : err });
+                }
+            }
+        }
+    }
+}
+
+module.exports = new APIAudit();
\ No newline at end of file
@@ -1,11 +1,142 @@
 class APIConfig {
     constructor() {
+        // Default values, the configuration passed to set() is merged into them
+        this.session = {
+            idle_timeout : 3600,
+            max_age : null,
+            login_token_ttl : 3600,
+            sliding_expiration : true,
+            sweep_interval : 300,
+            token_in_query : true,
+            cookie : {
+                enabled : false,
+                name : 'md_api_session',
+                same_site : 'strict',
+                secure : true,
+                domain : null,
+                path : '/',
+                allowed_origins : []
+            }
+        };
+        this.logging = {
+            level : 'info',
+            format : 'text',
+            redact : ['password', 'password_hash', 'old_password', 'new_password', 'token', 'session_token', 'login_token', 'activation_token', 'reset_token', 'key', 'authorization', 'cookie']
+        };
+        this.body = {
+            max_size : 1000000
+        };
+        this.uploads = {
+            max_file_size : 10485760,
+            max_files : 10,
+            directory : null
+        };
+        this.jsonrpc = {
+            path : '/jsonrpc'
+        };
+        this.websocket = {
+            path : '/ws',
+            heartbeat_interval : 30
+        };
+        this.passwords = {
+            algorithm : 'scrypt',
+            salt_length : 16,
+            key_length : 64,
+            scrypt : {
+                N : 16384,
+                r : 8,
+                p : 1
+            },
+            pbkdf2 : {
+                digest : 'sha512',
+                iterations : 210000
+            },
+            allow_legacy_challenge : true
+        };
+        this.impersonation = {
+            enabled : true,
+            allow_admins : false,
+            restrict_to_subset : true
+        };
+        this.audit = {
+            enabled : true,
+            calls : true,
+            sinks : ['database'],
+            file : 'audit.log',
+            redact : ['password', 'password_hash', 'old_password', 'new_password', 'token', 'activation_token', 'reset_token', 'key']
+        };
+        this.api_keys = {
+            enabled : true
+        };
+        this.permissions = {
+            cache : true,
+            cache_ttl : 60
+        };
+        this.rate_limit = {
+            enabled : true,
+            login : {
+                max_attempts : 5,
+                window : 900,
+                lockout : 60,
+                max_lockout : 3600
+            }
+        };
+        this.users = {
+            registration : false,
+            min_password_length : 8,
+            activation_ttl : 86400,
+            password_reset_ttl : 3600,
+            activation_url : null,
+            password_reset_url : null
+        };
+        this.health = {
+            live_path : '/health/live',
+            ready_path : '/health/ready',
+            timeout : 5
+        };
+        this.shutdown = {
+            timeout : 30,
+            signals : ['SIGTERM', 'SIGINT']
+        };
+        this.metrics = {
+            path : '/metrics',
+            port : null,
+            permission : 'metrics'
+        };
+        this.openapi = {
+            path : '/openapi.json',
+            title : 'md_api_server',
+            version : '1.0.0'
+        };
     }
     set(config) {
-        Object.keys(config).forEach((key) => {
-            this[key] = config[key];
-        });
+        merge(this, config);
     }
 }
 
+/**
+ * Recursively merges the properties of source into target, plain objects are merged, all other values are replaced
+ * @param {Object} target object to merge into
+ * @param {Object} source object to merge
+ */
+function merge(target, source) {
+    Object.keys(source).forEach((key) => {
+        if(isPlainObject(target[key]) && isPlainObject(source[key])) {
+            target[key] = { ...target[key] };
+            merge(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    });
+}
+
+/**
+ * Checks whether a value is a plain object (and not null or an array)
+ * @param {any} value value to check
+ * @returns {boolean} true if the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== undefined && value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 module.exports = new APIConfig();
\ No newline at end of file
@@ -5,13 +5,49 @@ const ERROR_CODES = {
     PERMISSION_MISSING : 'PERMISSION_MISSING',
     PERMISSION_SESSION : 'PERMISSION_SESSION',
     PERMISSION_NO_SESSION : 'PERMISSION_NO_SESSION',
+    SESSION_EXPIRED : 'SESSION_EXPIRED',
     PARAM_MISSING : 'PARAM_MISSING',
     PARAM_TYPE : 'PARAM_TYPE',
     PARAM_RANGE : 'PARAM_RANGE',
+    PARAM_UNKNOWN : 'PARAM_UNKNOWN',
     HANDLER_ERROR : 'HANDLER_ERROR',
     METHOD_ERROR : 'METHOD_ERROR',
     METHOD_UNKNOWN : 'METHOD_UNKNOWN',
-    MULTICALL_ERROR : 'MULTICALL_ERROR'
+    MULTICALL_ERROR : 'MULTICALL_ERROR',
+    RATE_LIMITED : 'RATE_LIMITED',
+    SHUTTING_DOWN : 'SHUTTING_DOWN'
 };
 
-module.exports = { ERROR_CODES : ERROR_CODES };
\ No newline at end of file
+// Error codes of the JSON-RPC 2.0 endpoint
+const JSONRPC_ERROR_CODES = {
+    PARSE_ERROR : -32700,
+    INVALID_REQUEST : -32600,
+    METHOD_NOT_FOUND : -32601,
+    INVALID_PARAMS : -32602,
+    INTERNAL_ERROR : -32603,
+    SERVER_ERROR : -32000
+};
+
+// JSON-RPC error codes the ERROR_CODES are reported as, ERROR_CODES not listed here are reported as SERVER_ERROR
+const JSONRPC_ERROR_MAPPING = {
+    [ERROR_CODES.METHOD_UNKNOWN] : JSONRPC_ERROR_CODES.METHOD_NOT_FOUND,
+    [ERROR_CODES.PARAM_MISSING] : JSONRPC_ERROR_CODES.INVALID_PARAMS,
+    [ERROR_CODES.PARAM_TYPE] : JSONRPC_ERROR_CODES.INVALID_PARAMS,
+    [ERROR_CODES.PARAM_RANGE] : JSONRPC_ERROR_CODES.INVALID_PARAMS,
+    [ERROR_CODES.PARAM_UNKNOWN] : JSONRPC_ERROR_CODES.INVALID_PARAMS,
+    [ERROR_CODES.HANDLER_ERROR] : JSONRPC_ERROR_CODES.INTERNAL_ERROR,
+    [ERROR_CODES.METHOD_ERROR] : JSONRPC_ERROR_CODES.INTERNAL_ERROR,
+    [ERROR_CODES.PERMISSION_MISSING] : -32001,
+    [ERROR_CODES.PERMISSION_SESSION] : -32002,
+    [ERROR_CODES.PERMISSION_NO_SESSION] : -32003,
+    [ERROR_CODES.SESSION_EXPIRED] : -32004,
+    [ERROR_CODES.MULTICALL_ERROR] : -32005,
+    [ERROR_CODES.RATE_LIMITED] : -32006,
+    [ERROR_CODES.SHUTTING_DOWN] : -32007
+};
+
+module.exports = {
+    ERROR_CODES : ERROR_CODES,
+    JSONRPC_ERROR_CODES : JSONRPC_ERROR_CODES,
+    JSONRPC_ERROR_MAPPING : JSONRPC_ERROR_MAPPING
+};
\ No newline at end of file
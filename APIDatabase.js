@@ -3,12 +3,204 @@
 // ---------------------------------------------------------------------------------
 const mysql = require('mysql');
 const config = require('./APIConfig.js');
+const logger = require('./APILogger.js');
+const metrics = require('./APIMetrics.js');
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+// Timezone-Offset for automatic casting of date-related fields
+const tzoffset = (new Date()).getTimezoneOffset() * 60000;
+
+// number of transactions that have been started but not yet committed or rolled back
+let openTransactionCount = 0;
+
+/**
+ * Runs an SQL-Query on the given mysql pool or connection and casts certain mysql-field-types into js types
+ * @param {Object} queryable mysql pool or connection to run the query on
+ * @param {string} sql SQL-Statement to run
+ * @param {any[]} values Parameters for prepared statements
+ * @returns {Promise} A Promise that will resolve to an Array containing one object for each row returned by the query,
+ * or be rejected if a mysql-error occured.
+ */
+function runQuery(queryable, sql, values) {
+    return new Promise((resolve, reject) => {
+        let startTime = process.hrtime.bigint();
+        try {
+            queryable.query(sql, values, (error, rows, fields) => {
+                metrics.queryFinished(!error, Number(process.hrtime.bigint() - startTime) / 1e9);
+                if(error) {
+                    logger.error('MySQL-Error', { sql : sql, error : error });
+                    reject();
+                } else {
+                    // Auto-sanitize certain datatypes
+                    if(Array.isArray(rows)) {
+                        for(let row of rows) {
+                            for(let field of fields) {
+                                if(row[field.name] !== null) {
+                                    switch(field.type) {
+                                        case 1: // tinyint
+                                            row[field.name] = (row[field.name] === 1 ? true : false);
+                                            break;
+                                        case 10: // date
+                                            row[field.name] = (new Date(row[field.name] - tzoffset)).toISOString().slice(0, 10);
+                                            break;
+                                        case 12: // datetime
+                                            row[field.name] = (new Date(row[field.name] - tzoffset)).toISOString().slice(0, 19).replace('T', ' ');
+                                            break;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                    resolve(rows);
+                }
+            });
+        } catch(err) {
+            logger.error('MySQL-Error', { sql : sql, error : err });
+            reject();
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// APIDatabaseConnection CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class represents a single connection leased from the pool of the APIDatabase.
+ * All queries run through the same connection, so a transaction started on it
+ * is isolated from queries of other requests.
+ */
+class APIDatabaseConnection {
+    /**
+     * Creates a new wrapper around a leased pool-connection
+     * @param {Object} connection mysql pool-connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+        this.inTransaction = false;
+        // callbacks to run once the current transaction has been committed
+        this.commitCallbacks = [];
+    }
+
+    /**
+     * Execute an SQL-Query on this connection
+     * @param {string} sql SQL-Statement to run
+     * @param  {...any} values Parameters for prepared statements
+     * @returns {Promise} A Promise that will resolve to an Array containing one object for each row returned by the query,
+     * or be rejected if a mysql-error occured.
+     */
+    query(sql, ...values) {
+        return runQuery(this.connection, sql, values);
+    }
+
+    /**
+     * Starts a Transaction on this connection
+     * @returns {Promise} Promise that is resolved when a transaction has been started
+     */
+    startTransaction() {
+        return new Promise((resolve, reject) => {
+            this.connection.beginTransaction((err) => {
+                if(err) {
+                    reject(err);
+                } else {
+                    this.inTransaction = true;
+                    openTransactionCount++;
+                    resolve();
+                }
+            });
+        });
+    }
+    /**
+     * Commits the Transaction running on this connection
+     * @returns {Promise} Promise that is resolved when a transaction has been committed
+     */
+    commit() {
+        return new Promise((resolve, reject) => {
+            this.connection.commit((err) => {
+                if(err) {
+                    reject(err);
+                } else {
+                    this.endTransaction();
+                    metrics.transactionFinished('commit');
+                    let callbacks = this.commitCallbacks;
+                    this.commitCallbacks = [];
+                    for(let callback of callbacks) {
+                        callback();
+                    }
+                    resolve();
+                }
+            });
+        });
+    }
+    /**
+     * Rolls back the Transaction running on this connection
+     * @returns {Promise} Promise that is resolved when a transaction has been rolled back
+     */
+    rollback() {
+        return new Promise((resolve, reject) => {
+            this.connection.rollback((err) => {
+                this.endTransaction();
+                metrics.transactionFinished('rollback');
+                this.commitCallbacks = [];
+                if(err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Marks the transaction running on this connection as finished
+     */
+    endTransaction() {
+        if(this.inTransaction) {
+            this.inTransaction = false;
+            openTransactionCount--;
+        }
+    }
+
+    /**
+     * Runs a callback once the transaction running on this connection has been committed,
+     * e.g. to invalidate caches only when the changes are visible to other connections.
+     * The callback is dropped if the transaction is rolled back.
+     * If no transaction is running the callback is run immediately.
+     * @param {function} callback the callback to run
+     */
+    afterCommit(callback) {
+        if(this.inTransaction) {
+            this.commitCallbacks.push(callback);
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Returns the connection to the pool. The object must not be used afterwards.
+     * If a connection with an open transaction is released, the connection is destroyed
+     * instead so the transaction can not leak into the next lease.
+     */
+    release() {
+        if(this.connection === null) {
+            return;
+        }
+        if(this.inTransaction) {
+            this.connection.destroy();
+            this.endTransaction();
+        } else {
+            this.connection.release();
+        }
+        this.connection = null;
+    }
+}
 
 // ---------------------------------------------------------------------------------
 // APIDatabase CLASS
 // ---------------------------------------------------------------------------------
 /**
- * This class is a wrapper around the mysql class to promisify certain actions
+ * This class is a wrapper around a mysql connection pool to promisify certain actions
  * and to add automatic casting of certain mysql-field-types into js types
  */
 class APIDatabase {
@@ -18,33 +210,33 @@ class APIDatabase {
      * Make sure to call set(config) on the APIConfig-object beforehand.
      */
     constructor() {
-        this.connection = null;
-
-        // Timezone-Offset for automatic casting of date-related fields
-        this.tzoffset = (new Date()).getTimezoneOffset() * 60000;
+        this.pool = null;
     }
 
     // ---------------------------------------------------------------------------------
     // CONNECTION
     // ---------------------------------------------------------------------------------
     /**
-     * Connect to the database
+     * Creates the connection pool and verifies that the database can be reached
      * @returns {Promise} Promise that will resolve when the connection is established
      */
     connect() {
         return new Promise((resolve, reject) => {
-            if(this.connection === null) {
-                console.log('Connecting to MySQL');
-                this.connection = mysql.createConnection({
+            if(this.pool === null) {
+                logger.info('Connecting to MySQL', { host : config.db.host });
+                this.pool = mysql.createPool({
                     host : config.db.host,
                     user : config.db.user,
                     password : config.db.password,
-                    database : config.db.auth_database
+                    database : config.db.auth_database,
+                    connectionLimit : (config.db.connection_limit !== undefined ? config.db.connection_limit : 10)
                 });
-                this.connection.connect((err) => {
+                // lease one connection to find out whether the credentials are valid
+                this.pool.getConnection((err, connection) => {
                     if(err) {
                         reject(err);
                     } else {
+                        connection.release();
                         resolve();
                     }
                 });
@@ -55,17 +247,18 @@ class APIDatabase {
     }
 
     /**
-     * Disconnect from the database
-     * @returns {Promise} Promise that will resolve when the connection is closed
+     * Disconnect from the database by ending all connections of the pool
+     * @returns {Promise} Promise that will resolve when the connections are closed
      */
     disconnect() {
         return new Promise((resolve, reject) => {
-            if(this.connection !== null) {
-                console.log('Closing MySQL-Connection');
-                this.connection.end((err) => {
+            if(this.pool !== null) {
+                logger.info('Closing MySQL-Connections');
+                this.pool.end((err) => {
                     if(err) {
                         reject(err);
                     } else {
+                        this.pool = null;
                         resolve();
                     }
                 });
@@ -75,101 +268,71 @@ class APIDatabase {
         });
     }
 
+    /**
+     * Leases a connection from the pool. The connection must be released via
+     * APIDatabaseConnection.release() when it is no longer needed.
+     * @returns {Promise} A Promise that will resolve to an APIDatabaseConnection
+     */
+    getConnection() {
+        return new Promise((resolve, reject) => {
+            this.pool.getConnection((err, connection) => {
+                if(err) {
+                    reject(err);
+                } else {
+                    resolve(new APIDatabaseConnection(connection));
+                }
+            });
+        });
+    }
+
     // ---------------------------------------------------------------------------------
     // QUERY
     // ---------------------------------------------------------------------------------
     /**
-     * Execute an SQL-Query
+     * Execute an SQL-Query on any free connection of the pool
      * @param {string} sql SQL-Statement to run
      * @param  {...any} values Parameters for prepared statements
      * @returns {Promise} A Promise that will resolve to an Array containing one object for each row returned by the query,
      * or be rejected if a mysql-error occured.
      */
     query(sql, ...values) {
-        return new Promise((resolve, reject) => {
-            try {
-                this.connection.query(sql, values, (error, rows, fields) => {
-                    if(error) {
-                        console.log('MySQL-Error', error);
-                        reject();
-                    } else {
-                        // Auto-sanitize certain datatypes
-                        if(Array.isArray(rows)) {
-                            for(let row of rows) {
-                                for(let field of fields) {
-                                    if(row[field.name] !== null) {
-                                        switch(field.type) {
-                                            case 1: // tinyint
-                                                row[field.name] = (row[field.name] === 1 ? true : false);
-                                                break;
-                                            case 10: // date
-                                                row[field.name] = (new Date(row[field.name] - this.tzoffset)).toISOString().slice(0, 10);
-                                                break;
-                                            case 12: // datetime
-                                                row[field.name] = (new Date(row[field.name] - this.tzoffset)).toISOString().slice(0, 19).replace('T', ' ');
-                                                break;
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                        resolve(rows);
-                    }
-                });
-            } catch(err) {
-                console.log('MySQL-Error', err);
-                reject();
-            }
-        });
+        return runQuery(this.pool, sql, values);
     }
 
     // ---------------------------------------------------------------------------------
     // TRANSACTIONS
     // ---------------------------------------------------------------------------------
     /**
-     * Starts a Transaction
-     * @returns {Promise} Promise that is resolved when a transaction has been started
+     * Runs a callback immediately, since queries on the pool are committed right away.
+     * Exists so callers can use afterCommit() on both APIDatabase and APIDatabaseConnection.
+     * @param {function} callback the callback to run
      */
-    startTransaction() {
-        return new Promise((resolve, reject) => {
-            this.connection.beginTransaction((err) => {
-                if(err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
+    afterCommit(callback) {
+        callback();
     }
+
     /**
-     * Commits a Transaction
-     * @returns {Promise} Promise that is resolved when a transaction has been committed
+     * Gets the number of transactions that have been started but not yet committed or rolled back
+     * @returns {integer} the number of open transactions
      */
-    commit() {
-        return new Promise((resolve, reject) => {
-            this.connection.commit((err) => {
-                if(err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
+    openTransactions() {
+        return openTransactionCount;
     }
+
     /**
-     * Rolls back a Transaction
-     * @returns {Promise} Promise that is resolved when a transaction has been rolled back
+     * Leases a connection from the pool and starts a Transaction on it.
+     * Commit or roll back the transaction on the returned connection and release it afterwards.
+     * @returns {Promise} Promise that resolves to the APIDatabaseConnection the transaction was started on
      */
-    rollback() {
-        return new Promise((resolve, reject) => {
-            this.connection.rollback((err) => {
-                if(err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
+    async startTransaction() {
+        let connection = await this.getConnection();
+        try {
+            await connection.startTransaction();
+        } catch(err) {
+            connection.release();
+            throw err;
+        }
+        return connection;
     }
 };
 
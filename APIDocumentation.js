@@ -0,0 +1,297 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const config = require('./APIConfig.js');
+const types = require('./APITypes.js');
+const { ERROR_CODES } = require('./APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// APIDocumentation CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class generates machine-readable descriptions of the registered APIMethods,
+ * an OpenAPI 3 document as well as a lighter description used for introspection
+ */
+class APIDocumentation {
+    /**
+     * Creates a new instance of APIDocumentation
+     */
+    constructor() {}
+
+    // ---------------------------------------------------------------------------------
+    // INTROSPECTION
+    // ---------------------------------------------------------------------------------
+    /**
+     * @typedef {Object} MethodDescription
+     * @property {string} path path of the method
+     * @property {string|null} description description of the method
+     * @property {APIParameter[]} parameters parameters the method takes
+     * @property {boolean} requireSession true if the method can only be called by authenticated users
+     * @property {boolean} requireNoSession true if the method can only be called by unauthenticated users
+     * @property {string[]} requiredPermissions permissions required to call the method
+     * @property {boolean} transaction true if the method runs in a database transaction
+     * @property {RateLimit[]} rateLimit limits how often a client can call the method
+     * @property {APISchema|null} returns schema of the data the method returns
+     */
+    /**
+     * Describes a method in a plain object that can be sent to clients
+     * @param {APIMethod} method the method to describe
+     * @returns {MethodDescription} description of the method
+     */
+    describeMethod(method) {
+        return {
+            path : method.path,
+            description : method.description,
+            parameters : method.parameters,
+            requireSession : method.requireSession,
+            requireNoSession : method.requireNoSession,
+            requiredPermissions : method.requiredPermissions,
+            transaction : method.transaction,
+            rateLimit : rateLimits(method),
+            returns : method.returns
+        };
+    }
+
+    // ---------------------------------------------------------------------------------
+    // OPENAPI
+    // ---------------------------------------------------------------------------------
+    /**
+     * Generates an OpenAPI 3 document describing the given methods
+     * @param {APIMethod[]} methods the methods to describe
+     * @returns {Object} the OpenAPI document
+     */
+    buildOpenAPI(methods) {
+        let paths = {};
+        for(let method of methods) {
+            paths[method.path] = {
+                get : this.buildOperation(method, 'get'),
+                post : this.buildOperation(method, 'post')
+            };
+        }
+
+        return {
+            openapi : '3.0.3',
+            info : {
+                title : config.openapi.title,
+                version : config.openapi.version
+            },
+            paths : paths,
+            components : {
+                securitySchemes : {
+                    sessionToken : {
+                        type : 'apiKey',
+                        in : 'query',
+                        name : 'token',
+                        description : 'Session-token issued by /session/login, may also be passed in the request body'
+                    },
+                    apiKey : {
+                        type : 'apiKey',
+                        in : 'header',
+                        name : 'Authorization',
+                        description : 'API key created with /session/api_keys/create, passed as "ApiKey <key>" or "Bearer <key>"'
+                    }
+                },
+                schemas : {
+                    APIResponse : {
+                        type : 'object',
+                        required : ['success'],
+                        properties : {
+                            success : { type : 'boolean', description : 'true, if the execution of the method was successful' },
+                            data : { description : 'data returned by the method, only set if success is true' },
+                            msg : { type : 'string', description : 'message explaining what went wrong, only set if success is false' },
+                            code : { type : 'string', enum : Object.values(ERROR_CODES), description : 'constant from ERROR_CODES explaining the type of the error' },
+                            token : { type : 'string', description : 'login-token the client can use to log in' },
+                            errors : {
+                                type : 'array',
+                                description : 'all parameters that failed the verification, msg and code are the ones of the first',
+                                items : {
+                                    type : 'object',
+                                    properties : {
+                                        key : { type : 'string', description : 'path of the parameter, e.g. content.calls[3].method' },
+                                        code : { type : 'string', enum : Object.values(ERROR_CODES) },
+                                        message : { type : 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Generates the OpenAPI operation of a method for one HTTP-verb
+     * @param {APIMethod} method the method to describe
+     * @param {string} verb 'get' or 'post'
+     * @returns {Object} OpenAPI operation object
+     */
+    buildOperation(method, verb) {
+        let segments = method.path.split('/').filter((segment) => {
+            return segment.length > 0;
+        });
+        let operation = {
+            operationId : verb + segments.map((segment) => {
+                return segment.charAt(0).toUpperCase() + segment.slice(1);
+            }).join('').replace(/[^A-Za-z0-9]/g, ''),
+            tags : [(segments.length > 0 ? segments[0] : 'default')],
+            security : (method.requireSession ? [{ sessionToken : [] }, { apiKey : [] }] : []),
+            responses : {
+                200 : {
+                    description : 'API-Response, check success to find out whether the call was successful',
+                    content : {
+                        'application/json' : {
+                            schema : (method.returns !== null
+                                ? { allOf : [{ $ref : '#/components/schemas/APIResponse' }, { type : 'object', properties : { data : this.parameterSchema(method.returns) } }] }
+                                : { $ref : '#/components/schemas/APIResponse' })
+                        }
+                    }
+                }
+            },
+            'x-require-session' : method.requireSession,
+            'x-require-no-session' : method.requireNoSession,
+            'x-required-permissions' : method.requiredPermissions,
+            'x-transaction' : method.transaction,
+            'x-rate-limit' : rateLimits(method)
+        };
+        if(method.description !== null) {
+            operation.summary = method.description;
+        }
+
+        if(verb === 'get') {
+            operation.parameters = method.parameters.map((parm) => {
+                let parameter = {
+                    name : parm.key,
+                    in : 'query',
+                    required : !parm.optional,
+                    schema : this.parameterSchema(parm)
+                };
+                if(parm.description !== undefined) {
+                    parameter.description = parm.description;
+                }
+                return parameter;
+            });
+        } else if(method.parameters.length > 0) {
+            let schema = {
+                type : 'object',
+                properties : {},
+                required : []
+            };
+            for(let parm of method.parameters) {
+                schema.properties[parm.key] = this.parameterSchema(parm);
+                if(parm.description !== undefined) {
+                    schema.properties[parm.key].description = parm.description;
+                }
+                if(!parm.optional) {
+                    schema.required.push(parm.key);
+                }
+            }
+            if(schema.required.length === 0) {
+                delete schema.required;
+            }
+            operation.requestBody = {
+                required : schema.required !== undefined,
+                content : {
+                    'application/json' : { schema : schema },
+                    'application/x-www-form-urlencoded' : { schema : schema }
+                }
+            };
+            // files can only be uploaded in multipart-bodies
+            if(method.parameters.some((parm) => { return parm.type === 'file'; })) {
+                operation.requestBody.content = {
+                    'multipart/form-data' : { schema : schema }
+                };
+            }
+        }
+
+        return operation;
+    }
+
+    /**
+     * Converts the type-definition of an APIParameter or APISchema into a JSON-schema as used by OpenAPI,
+     * nested schemas are converted recursively
+     * @param {APIParameter|APISchema} parm the parameter to convert
+     * @returns {Object} JSON-schema of the parameter
+     */
+    parameterSchema(parm) {
+        let type = types.get(parm.type);
+        let schema = (type !== null && type.schema !== undefined ? { ...type.schema } : {});
+        switch(parm.type) {
+            case 'json':
+                if(parm.schema !== undefined) {
+                    schema = this.parameterSchema(parm.schema);
+                }
+                break;
+            case 'array':
+                schema.items = (parm.items !== undefined ? this.parameterSchema(parm.items) : {});
+                break;
+            case 'object':
+                if(parm.properties !== undefined) {
+                    schema.properties = {};
+                    schema.required = [];
+                    for(let property of parm.properties) {
+                        schema.properties[property.key] = this.parameterSchema(property);
+                        if(!property.optional) {
+                            schema.required.push(property.key);
+                        }
+                    }
+                    if(schema.required.length === 0) {
+                        delete schema.required;
+                    }
+                }
+                break;
+        }
+
+        if(parm.min !== undefined) {
+            schema.minimum = parm.min;
+        }
+        if(parm.max !== undefined) {
+            schema.maximum = parm.max;
+        }
+        if(parm.minLength !== undefined) {
+            schema.minLength = parm.minLength;
+        }
+        if(parm.maxLength !== undefined) {
+            schema.maxLength = parm.maxLength;
+        }
+        if(parm.pattern !== undefined) {
+            schema.pattern = (parm.pattern instanceof RegExp ? parm.pattern.source : parm.pattern);
+        }
+        if(parm.minItems !== undefined) {
+            schema.minItems = parm.minItems;
+        }
+        if(parm.maxItems !== undefined) {
+            schema.maxItems = parm.maxItems;
+        }
+        if(parm.description !== undefined) {
+            schema.description = parm.description;
+        }
+        if(parm.allowedValues !== undefined) {
+            schema.enum = parm.allowedValues;
+        }
+        if(parm.default !== undefined) {
+            schema.default = parm.default;
+        }
+        if(parm.interpretAsNull !== undefined || parm.nullable) {
+            schema.nullable = true;
+        }
+        return schema;
+    }
+};
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Gets the rate limits of a method as an array
+ * @param {APIMethod} method the method
+ * @returns {RateLimit[]} the rate limits of the method, empty if it has none
+ */
+function rateLimits(method) {
+    if(method.rateLimit === null || method.rateLimit === undefined) {
+        return [];
+    }
+    return (Array.isArray(method.rateLimit) ? method.rateLimit : [method.rateLimit]);
+}
+
+module.exports = new APIDocumentation();
\ No newline at end of file
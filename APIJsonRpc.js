@@ -0,0 +1,201 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const apiUtils = require('./APIUtils.js');
+const logger = require('./APILogger.js');
+const { ERROR_CODES, JSONRPC_ERROR_CODES, JSONRPC_ERROR_MAPPING } = require('./APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// APIJsonRpc CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class implements a JSON-RPC 2.0 endpoint (https://www.jsonrpc.org/specification)
+ * on top of the APIMethods registered with an APIServer.
+ * The method-name of a JSON-RPC call is the path of the APIMethod, the leading "/" may be left out.
+ */
+class APIJsonRpc {
+    /**
+     * Creates a new JSON-RPC endpoint
+     * @param {APIServer} server the server whose methods shall be callable
+     */
+    constructor(server) {
+        this.server = server;
+    }
+
+    /**
+     * Express-handler for requests to the JSON-RPC endpoint
+     * @param {Object} request
+     * @param {Object} response
+     */
+    handleRequest(request, response) {
+        this.server.readRequestBody(request)
+        .then(async (body) => {
+            // Parse the request
+            let payload = null;
+            try {
+                payload = JSON.parse(body);
+            } catch(e) {
+                this.send(response, this.error(null, JSONRPC_ERROR_CODES.PARSE_ERROR, 'Parse error'));
+                return;
+            }
+
+            // Batch-requests are executed one after another and answered in one array
+            if(Array.isArray(payload)) {
+                if(payload.length === 0) {
+                    this.send(response, this.error(null, JSONRPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request'));
+                    return;
+                }
+                let results = [];
+                for(let call of payload) {
+                    let result = await this.handleCall(call, request, response);
+                    if(result !== null) {
+                        results.push(result);
+                    }
+                }
+                this.send(response, (results.length > 0 ? results : null));
+            } else {
+                this.send(response, await this.handleCall(payload, request, response));
+            }
+        })
+        .catch((err) => {
+            logger.forRequest(request).error('Error handling a JSON-RPC request', { error : err });
+            if(!request.socket.destroyed) {
+                this.send(response, this.error(null, JSONRPC_ERROR_CODES.INTERNAL_ERROR, 'Internal error'));
+            }
+        });
+    }
+
+    /**
+     * Executes a single JSON-RPC call
+     * @async
+     * @param {any} call the call as sent by the client
+     * @param {Object} request
+     * @param {Object} response
+     * @returns {Object|null} the JSON-RPC response object, or null if the call was a notification
+     */
+    async handleCall(call, request, response) {
+        // verify the structure of the call
+        if(call === null || typeof call !== 'object' || Array.isArray(call)) {
+            return this.error(null, JSONRPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+        }
+        let idValid = (call.id === undefined || call.id === null || typeof call.id === 'string' || typeof call.id === 'number');
+        if(call.jsonrpc !== '2.0' || typeof call.method !== 'string' || !idValid
+            || (call.params !== undefined && (call.params === null || typeof call.params !== 'object'))) {
+            return this.error((idValid && call.id !== undefined ? call.id : null), JSONRPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+        }
+        // calls without an id are notifications that must not be answered
+        let isNotification = !('id' in call);
+        let id = (isNotification ? null : call.id);
+
+        try {
+            // find the method
+            let path = (call.method.startsWith('/') ? call.method : '/' + call.method);
+            let method = this.server.methods.find((method) => {
+                return method.path === path;
+            });
+            if(method === undefined) {
+                return (isNotification ? null : this.error(id, JSONRPC_ERROR_CODES.METHOD_NOT_FOUND, 'Method not found', ERROR_CODES.METHOD_UNKNOWN));
+            }
+
+            // Map the params onto the parameters of the method
+            let parms = {};
+            if(Array.isArray(call.params)) {
+                if(call.params.length > method.parameters.length) {
+                    return (isNotification ? null : this.error(id, JSONRPC_ERROR_CODES.INVALID_PARAMS, 'Too many parameters, the method takes ' + method.parameters.length + '.'));
+                }
+                call.params.forEach((value, index) => {
+                    parms[method.parameters[index].key] = value;
+                });
+            } else if(call.params !== undefined) {
+                parms = {...call.params};
+            }
+
+            // if an API key or a token was transmitted, try to load the corresponding session
+            let sessionResult = await this.server.authenticate(request, parms.token);
+            let methodResponse = null;
+            if(sessionResult.errorCode !== undefined && method.requireSession) {
+                methodResponse = apiUtils.error(sessionResult.reason, sessionResult.errorCode);
+            } else {
+                methodResponse = await apiUtils.tryExecuteMethod(method, parms, sessionResult.session, request, response, this.server.methods);
+                if(methodResponse.session !== undefined) {
+                    this.server.applySessionCookie(response, methodResponse.session);
+                }
+                methodResponse = apiUtils.withoutDownload(methodResponse);
+            }
+
+            if(isNotification) {
+                return null;
+            }
+            if(methodResponse.success) {
+                return {
+                    jsonrpc : '2.0',
+                    result : (methodResponse.data !== undefined ? methodResponse.data : null),
+                    id : id
+                };
+            }
+            let rpcError = this.error(id, this.mapErrorCode(methodResponse.code), methodResponse.msg, methodResponse.code);
+            if(methodResponse.retry_after !== undefined) {
+                rpcError.error.data.retry_after = methodResponse.retry_after;
+            }
+            if(methodResponse.errors !== undefined) {
+                rpcError.error.data.errors = methodResponse.errors;
+            }
+            return rpcError;
+        } catch(err) {
+            logger.forRequest(request).error('Error executing a JSON-RPC call', { error : err });
+            return (isNotification ? null : this.error(id, JSONRPC_ERROR_CODES.INTERNAL_ERROR, 'Internal error', ERROR_CODES.HANDLER_ERROR));
+        }
+    }
+
+    /**
+     * Maps a constant from ERROR_CODES to a JSON-RPC error code
+     * @param {string} [errorCode] constant from ERROR_CODES
+     * @returns {integer} JSON-RPC error code
+     */
+    mapErrorCode(errorCode) {
+        if(errorCode !== undefined && errorCode !== null && JSONRPC_ERROR_MAPPING[errorCode] !== undefined) {
+            return JSONRPC_ERROR_MAPPING[errorCode];
+        }
+        return JSONRPC_ERROR_CODES.SERVER_ERROR;
+    }
+
+    /**
+     * Creates a JSON-RPC error response
+     * @param {string|number|null} id id of the call the error belongs to
+     * @param {integer} code JSON-RPC error code
+     * @param {string} message human-readable error message
+     * @param {string} [errorCode] constant from ERROR_CODES, passed to the client in error.data.code
+     * @returns {Object} JSON-RPC response object
+     */
+    error(id, code, message, errorCode) {
+        let error = {
+            code : code,
+            message : message
+        };
+        if(errorCode !== undefined && errorCode !== null) {
+            error.data = { code : errorCode };
+        }
+        return {
+            jsonrpc : '2.0',
+            error : error,
+            id : id
+        };
+    }
+
+    /**
+     * Sends a JSON-RPC response to the client
+     * @param {Object} response
+     * @param {Object|Object[]|null} result response object(s), if null (only notifications were sent) the response is empty
+     */
+    send(response, result) {
+        if(result === null) {
+            response.status(204);
+            response.end();
+        } else {
+            response.json(result);
+            response.end();
+        }
+    }
+}
+
+module.exports = APIJsonRpc;
\ No newline at end of file
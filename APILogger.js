@@ -0,0 +1,220 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const util = require('util');
+const config = require('./APIConfig.js');
+
+// ---------------------------------------------------------------------------------
+// CONSTANTS
+// ---------------------------------------------------------------------------------
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// ---------------------------------------------------------------------------------
+// APILogger CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class writes the log of the server.
+ * Messages below config.logging.level are dropped (config.debug = true lowers the level to 'debug'), the fields of
+ * all messages are redacted with config.logging.redact. By default messages are written to stdout (debug, info)
+ * and stderr (warn, error), as text or, with config.logging.format = 'json', as one JSON-object per line.
+ * Another logger can be injected with use(), e.g. to pass the messages on to the logging library of the application.
+ */
+class APILogger {
+    /**
+     * @typedef {Object} LoggerImplementation
+     * @property {function(string, Object): void} debug
+     * @property {function(string, Object): void} info
+     * @property {function(string, Object): void} warn
+     * @property {function(string, Object): void} error
+     */
+    /**
+     * Creates a new instance of APILogger
+     */
+    constructor() {
+        this.implementation = null;
+    }
+
+    /**
+     * Injects a logger all messages are passed to instead of writing them to stdout and stderr.
+     * Its methods are called with the message and the redacted fields, messages below the configured level are not passed on.
+     * @param {LoggerImplementation|null} implementation the logger, or null to write to stdout and stderr again
+     */
+    use(implementation) {
+        this.implementation = implementation;
+    }
+
+    /**
+     * Checks whether messages of a level are written
+     * @param {string} level 'debug', 'info', 'warn' or 'error'
+     * @returns {boolean} true if messages of the level are written
+     */
+    isEnabled(level) {
+        let minimum = (config.debug ? 'debug' : config.logging.level);
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(minimum);
+    }
+
+    // ---------------------------------------------------------------------------------
+    // LOGGING
+    // ---------------------------------------------------------------------------------
+    /**
+     * Writes a message
+     * @param {string} level 'debug', 'info', 'warn' or 'error'
+     * @param {string} message the message
+     * @param {Object} [fields={}] additional information, e.g. { error : err } or { request_id : '...' }
+     */
+    log(level, message, fields = {}) {
+        if(!this.isEnabled(level)) {
+            return;
+        }
+        fields = this.redact(fields);
+        if(this.implementation !== null) {
+            this.implementation[level](message, fields);
+            return;
+        }
+        let stream = (level === 'warn' || level === 'error' ? process.stderr : process.stdout);
+        stream.write(this.format(level, message, fields) + '\n');
+    }
+
+    /**
+     * Writes a message with the level 'debug'
+     * @param {string} message the message
+     * @param {Object} [fields={}] additional information
+     */
+    debug(message, fields = {}) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * Writes a message with the level 'info'
+     * @param {string} message the message
+     * @param {Object} [fields={}] additional information
+     */
+    info(message, fields = {}) {
+        this.log('info', message, fields);
+    }
+
+    /**
+     * Writes a message with the level 'warn'
+     * @param {string} message the message
+     * @param {Object} [fields={}] additional information
+     */
+    warn(message, fields = {}) {
+        this.log('warn', message, fields);
+    }
+
+    /**
+     * Writes a message with the level 'error'
+     * @param {string} message the message
+     * @param {Object} [fields={}] additional information
+     */
+    error(message, fields = {}) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Creates a logger that adds the given fields to all of its messages, e.g. the ID of a request
+     * @param {Object} bindings the fields to add
+     * @returns {Object} Object with the methods debug, info, warn, error and child
+     */
+    child(bindings) {
+        let childLogger = {
+            child : (moreBindings) => {
+                return this.child({ ...bindings, ...moreBindings });
+            }
+        };
+        for(let level of LEVELS) {
+            childLogger[level] = (message, fields = {}) => {
+                this.log(level, message, { ...bindings, ...fields });
+            };
+        }
+        return childLogger;
+    }
+
+    /**
+     * Gets the logger of a request, which adds the ID of the request to all messages
+     * @param {Object|null} [request] the request
+     * @returns {Object} the logger of the request, or this logger if the request has none
+     */
+    forRequest(request) {
+        return (request !== null && request !== undefined && request.log !== undefined ? request.log : this);
+    }
+
+    // ---------------------------------------------------------------------------------
+    // FORMATTING
+    // ---------------------------------------------------------------------------------
+    /**
+     * Formats a message as configured in config.logging.format
+     * @param {string} level level of the message
+     * @param {string} message the message
+     * @param {Object} fields the redacted fields
+     * @returns {string} the formatted message, without a line break
+     */
+    format(level, message, fields) {
+        let time = new Date().toISOString();
+        if(config.logging.format === 'json') {
+            return JSON.stringify({ time : time, level : level, msg : message, ...serializeErrors(fields) });
+        }
+        let line = time + ' ' + level.toUpperCase() + ' ' + message;
+        if(Object.keys(fields).length > 0) {
+            line += ' ' + util.inspect(fields, { depth : 5, breakLength : Infinity });
+        }
+        return line;
+    }
+
+    /**
+     * Replaces the values of all properties with one of the given names, in nested objects and arrays as well
+     * @param {any} value the value to redact
+     * @param {string[]} [keys=config.logging.redact] names of the properties to redact, case-insensitive
+     * @returns {any} a redacted copy of the value
+     */
+    redact(value, keys = config.logging.redact) {
+        let redactedKeys = keys.map((key) => {
+            return key.toLowerCase();
+        });
+        return redactValue(value, redactedKeys);
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Recursively redacts a value, see APILogger.redact
+ * @param {any} value the value to redact
+ * @param {string[]} redactedKeys lower case names of the properties to redact
+ * @returns {any} a redacted copy of the value
+ */
+function redactValue(value, redactedKeys) {
+    if(Array.isArray(value)) {
+        return value.map((item) => {
+            return redactValue(item, redactedKeys);
+        });
+    }
+    if(value === null || typeof value !== 'object' || value instanceof Date || value instanceof Error || Buffer.isBuffer(value)) {
+        return value;
+    }
+    let result = {};
+    for(let key of Object.keys(value)) {
+        result[key] = (redactedKeys.includes(key.toLowerCase()) ? '[REDACTED]' : redactValue(value[key], redactedKeys));
+    }
+    return result;
+}
+
+/**
+ * Replaces errors in the fields of a message by plain objects, so they survive JSON.stringify
+ * @param {Object} fields the fields of a message
+ * @returns {Object} the fields with serializable errors
+ */
+function serializeErrors(fields) {
+    let result = {};
+    for(let key of Object.keys(fields)) {
+        let value = fields[key];
+        if(value instanceof Error) {
+            value = { name : value.name, message : value.message, code : value.code, stack : value.stack };
+        }
+        result[key] = value;
+    }
+    return result;
+}
+
+module.exports = new APILogger();
\ No newline at end of file
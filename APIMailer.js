@@ -0,0 +1,58 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// APIMailer CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class sends emails to users, e.g. activation links or password resets.
+ * The server does not deliver mails itself, instead a transport must be set that does the delivery.
+ */
+class APIMailer {
+    /**
+     * @typedef {Object} APIMail
+     * @property {string} to email-address of the recipient
+     * @property {string} subject subject of the mail
+     * @property {string} text plain-text body of the mail
+     * @property {string} template name of the template the mail was created from, e.g. 'activation' or 'password_reset',
+     * so transports can render their own content
+     * @property {Object} data data the mail was created from, e.g. the token and the url
+     */
+    /**
+     * @typedef {Object} APIMailTransport
+     * @property {function(APIMail): Promise} send async callback that delivers a mail
+     */
+    /**
+     * Creates a new instance of APIMailer
+     */
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * Sets the transport used to deliver mails
+     * @param {APIMailTransport|null} transport the transport, or null to disable sending mails
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Sends a mail through the configured transport
+     * @async
+     * @param {APIMail} mail the mail to send
+     * @returns {boolean} true if the mail was handed to the transport, false if no transport is configured
+     */
+    async send(mail) {
+        if(this.transport === null) {
+            logger.warn('No mail transport configured, could not send mail', { template : mail.template, to : mail.to });
+            return false;
+        }
+        await this.transport.send(mail);
+        return true;
+    }
+}
+
+module.exports = new APIMailer();
\ No newline at end of file
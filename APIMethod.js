@@ -2,8 +2,16 @@
 // IMPORTS
 // ---------------------------------------------------------------------------------
 const apiUtils = require('./APIUtils.js');
+const config = require('./APIConfig.js');
 const { ERROR_CODES } = require('./APIConstants.js');
 const db = require('./APIDatabase.js');
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// CONSTANTS
+// ---------------------------------------------------------------------------------
+// parameters every method accepts because they are handled by the server itself
+const RESERVED_PARAMETERS = ['token', 'as_user'];
 
 // ---------------------------------------------------------------------------------
 // APIMethod CLASS
@@ -17,9 +25,13 @@ class APIMethod {
      * @typedef {Object} MethodHandlerParms
      * @property {any[]} parms Parameters passed by the user
      * @property {Object|null} session Session-Object of an authenticated user, or null if the request is unauthenticated
+     * @property {APIDatabaseConnection|APIDatabase} tx Database handle the method should run its queries on.
+     * If the method runs in a transaction this is the connection leased for it, otherwise it is the APIDatabase itself
      * @property {Object} request
      * @property {Object} response
      * @property {APIMethod[]} methods
+     * @property {string|null} requestID ID of the request the call was made with, see X-Request-Id
+     * @property {Object} log Logger that adds the ID of the request to all messages, see APILogger
      */
     /**
      * @typedef {Object} APIMethodProperties
@@ -29,8 +41,19 @@ class APIMethod {
      * @property {boolean} [requireSession=true] If set to true this method can only be called by authenticated users
      * @property {boolean} [requireNoSession=false] If set to true this method can only be called by unauthenticated users
      * @property {string[]} [requiredPermissions=[]] Array of required permissions a user must have to be allowed to execute this method
-     * @property {boolean} [transaction=true] If true the whole execution of the method will be wrapped in a mysql-transaction,
-     * can be set to false for methods that only retrieve data but change nothing
+     * @property {boolean} [transaction=true] If true the whole execution of the method will be wrapped in a mysql-transaction
+     * on a connection of its own, which is passed to the handler as tx.
+     * Can be set to false for methods that only retrieve data but change nothing
+     * @property {string|null} [description=null] Description of what the method does, used in the generated documentation
+     * @property {RateLimit|RateLimit[]|null} [rateLimit=null] Limits how often a client can call this method, see APIRateLimiter.
+     * E.g. { by : 'ip', limit : 10, window : 60 } allows 10 calls per minute from every IP
+     * @property {boolean|null} [audit=null] Controls how calls of this method are recorded in the audit log, see APIAudit.
+     * null records the calls without their parameters, true records the parameters as well (redacted), false does not record the calls
+     * @property {boolean} [strictParameters=false] If set to true calls with parameters that are not declared in parameters are rejected
+     * (token and as_user are always accepted)
+     * @property {APISchema|null} [returns=null] Schema of the data the method returns, e.g. { type : 'object', properties : [...] }.
+     * Properties that are not declared are removed from the data before it is sent. With config.debug = true the data is validated as well
+     * and calls returning data that does not match are failed, so mistakes show up during development. Also used in the generated documentation
      */
     /**
      * Creates a new API-Method
@@ -43,7 +66,12 @@ class APIMethod {
         requireSession = true,
         requireNoSession = false,
         requiredPermissions = [],
-        transaction = true
+        transaction = true,
+        description = null,
+        rateLimit = null,
+        audit = null,
+        strictParameters = false,
+        returns = null
     }) {
         this.path = path;
         this.handler = handler;
@@ -52,6 +80,11 @@ class APIMethod {
         this.requireNoSession = requireNoSession;
         this.requiredPermissions = requiredPermissions;
         this.transaction = transaction;
+        this.description = description;
+        this.rateLimit = rateLimit;
+        this.audit = audit;
+        this.strictParameters = strictParameters;
+        this.returns = returns;
     }
 
     /**
@@ -59,14 +92,17 @@ class APIMethod {
      * @async
      * @param {Object} parms Object having all parameters passed by the user as properties
      * @param {Object|null} session Session-Object of the authenticated user, or null if this call is unauthenticated
-     * @returns {boolean} true, if the call can be executed, false otherwise
+     * @returns {VerificationResult} passed is true, if the call can be executed. If parameters are invalid,
+     * errors lists all of them and reason and errorCode are the ones of the first
      */
     async canBeExecuted(parms, session) {
-        // check all parameters
+        // check all parameters, so the client learns about all of its mistakes at once
+        let errors = [];
         for(let parm of this.parameters) {
             let parmCheck = apiUtils.checkParameter(parm, parms);
             if(!parmCheck.passed) {
-                return parmCheck;
+                errors.push({ key : parmCheck.key, code : parmCheck.errorCode, message : parmCheck.reason });
+                continue;
             }
             // set parsed value
             if(parmCheck.newValue !== undefined) {
@@ -74,6 +110,24 @@ class APIMethod {
             }
         }
 
+        // reject parameters the method does not know
+        if(this.strictParameters) {
+            for(let key of Object.keys(parms)) {
+                if(!RESERVED_PARAMETERS.includes(key) && !this.parameters.some((parm) => { return parm.key === key; })) {
+                    errors.push({ key : key, code : ERROR_CODES.PARAM_UNKNOWN, message : 'Unknown parameter ' + key + '.' });
+                }
+            }
+        }
+
+        if(errors.length > 0) {
+            return {
+                passed : false,
+                reason : errors[0].message,
+                errorCode : errors[0].code,
+                errors : errors
+            };
+        }
+
         // Is the user allowed to execute this method?
         let permissionCheck = await apiUtils.allowedToExecuteMethod(session, this);
         if(!permissionCheck.passed) {
@@ -95,13 +149,12 @@ class APIMethod {
     execute({ parms, request, response, session, methods }) {
         return new Promise(async (resolve, reject) => {
             let methodResult = null;
-            let transactionStarted = false;
+            let tx = null;
             try {
 
-                // start a database transaction if the method requires it
+                // lease a connection and start a database transaction on it if the method requires it
                 if(this.transaction === true) {
-                    await db.startTransaction();
-                    transactionStarted = true;
+                    tx = await db.startTransaction();
                 }
 
                 // Execute API-Method
@@ -110,15 +163,23 @@ class APIMethod {
                     request : request,
                     response : response,
                     session : session,
-                    methods : methods
+                    tx : (tx !== null ? tx : db),
+                    methods : methods,
+                    requestID : (request !== null && request !== undefined && request.requestID !== undefined ? request.requestID : null),
+                    log : logger.forRequest(request)
                 });
 
+                // remove undeclared data before anything is committed, so a failed validation rolls the transaction back
+                if(this.returns !== null && methodResult.success) {
+                    methodResult.data = this.filterData(methodResult.data);
+                }
+
                 // If a database-transaction was started, commit or rollback depending on the result
-                if(this.transaction === true && transactionStarted) {
+                if(tx !== null) {
                     if(methodResult.success) {
-                        await db.commit();
+                        await tx.commit();
                     } else {
-                        await db.rollback();
+                        await tx.rollback();
                     }
                 }
 
@@ -130,14 +191,36 @@ class APIMethod {
 
             } catch(e) {
                 // catch errors occuring inside the API-method to prevent the API from crashing
-                console.trace(e);
-                if(this.transaction === true && transactionStarted) {
-                    await db.rollback();
+                logger.forRequest(request).error('Error executing a method', { method : this.path, error : e });
+                if(tx !== null && tx.inTransaction) {
+                    await tx.rollback().catch((err) => {
+                        logger.forRequest(request).error('Error rolling back a transaction', { method : this.path, error : err });
+                    });
                 }
                 reject(ERROR_CODES.METHOD_ERROR);
+            } finally {
+                // hand the connection back to the pool
+                if(tx !== null) {
+                    tx.release();
+                }
             }
         });
     }
+
+    /**
+     * Removes the data the method does not declare in returns. With config.debug = true the data is validated as well
+     * @param {any} data data returned by the handler
+     * @returns {any} the filtered data
+     * @throws {Error} if debugging is enabled and the data does not match the schema
+     */
+    filterData(data) {
+        let mismatches = (config.debug ? [] : null);
+        let filtered = apiUtils.filterValue(this.returns, data, 'data', mismatches);
+        if(mismatches !== null && mismatches.length > 0) {
+            throw new Error('The data returned by ' + this.path + ' does not match its schema: ' + mismatches.join(', '));
+        }
+        return filtered;
+    }
 }
 
 module.exports = APIMethod;
\ No newline at end of file
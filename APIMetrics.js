@@ -0,0 +1,323 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// CONSTANTS
+// ---------------------------------------------------------------------------------
+// upper bounds in seconds of the buckets of the latency histograms
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ---------------------------------------------------------------------------------
+// METRIC CLASSES
+// ---------------------------------------------------------------------------------
+/**
+ * Base class of all metrics, keeps one value per combination of label values
+ */
+class APIMetric {
+    /**
+     * Creates a new metric
+     * @param {string} name name of the metric
+     * @param {string} help description of the metric
+     * @param {string} type 'counter', 'gauge' or 'histogram'
+     * @param {string[]} labelNames names of the labels of the metric
+     */
+    constructor(name, help, type, labelNames) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.labelNames = labelNames;
+        // serialized labels => value
+        this.values = new Map();
+    }
+
+    /**
+     * Serializes label values in the order of the label names, e.g. method="/x",code="A"
+     * @param {Object} labels the label values
+     * @returns {string} the serialized labels
+     */
+    labelString(labels) {
+        return this.labelNames.map((labelName) => {
+            let value = (labels[labelName] !== undefined && labels[labelName] !== null ? String(labels[labelName]) : '');
+            return labelName + '="' + value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"') + '"';
+        }).join(',');
+    }
+
+    /**
+     * Renders the metric in the Prometheus text format
+     * @returns {string} the lines describing the metric
+     */
+    render() {
+        let lines = ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type];
+        for(let [labels, value] of this.values) {
+            lines.push(this.name + (labels !== '' ? '{' + labels + '}' : '') + ' ' + value);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * A value that only increases, e.g. the number of calls
+ */
+class APICounter extends APIMetric {
+    /**
+     * Increases the counter
+     * @param {Object} [labels={}] the label values
+     * @param {number} [value=1] the amount to increase the counter by
+     */
+    inc(labels = {}, value = 1) {
+        let key = this.labelString(labels);
+        this.values.set(key, (this.values.has(key) ? this.values.get(key) : 0) + value);
+    }
+}
+
+/**
+ * A value that can go up and down, e.g. the number of requests in flight
+ */
+class APIGauge extends APIMetric {
+    /**
+     * Sets the gauge to a value
+     * @param {Object} labels the label values
+     * @param {number} value the new value
+     */
+    set(labels, value) {
+        this.values.set(this.labelString(labels), value);
+    }
+
+    /**
+     * Gets the current value of the gauge
+     * @param {Object} [labels={}] the label values
+     * @returns {number} the value, 0 if the gauge was never set for these labels
+     */
+    get(labels = {}) {
+        let key = this.labelString(labels);
+        return (this.values.has(key) ? this.values.get(key) : 0);
+    }
+
+    /**
+     * Increases or, with a negative value, decreases the gauge
+     * @param {Object} [labels={}] the label values
+     * @param {number} [value=1] the amount to add
+     */
+    inc(labels = {}, value = 1) {
+        let key = this.labelString(labels);
+        this.values.set(key, (this.values.has(key) ? this.values.get(key) : 0) + value);
+    }
+}
+
+/**
+ * Counts observations, e.g. durations, in cumulative buckets
+ */
+class APIHistogram extends APIMetric {
+    /**
+     * Creates a new histogram
+     * @param {string} name name of the metric
+     * @param {string} help description of the metric
+     * @param {string[]} labelNames names of the labels of the metric
+     * @param {number[]} buckets upper bounds of the buckets, in ascending order
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, 'histogram', labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Records an observation
+     * @param {Object} labels the label values
+     * @param {number} value the observed value
+     */
+    observe(labels, value) {
+        let key = this.labelString(labels);
+        let histogram = this.values.get(key);
+        if(histogram === undefined) {
+            histogram = { counts : this.buckets.map(() => 0), sum : 0, count : 0 };
+            this.values.set(key, histogram);
+        }
+        for(let i = 0; i < this.buckets.length; i++) {
+            if(value <= this.buckets[i]) {
+                histogram.counts[i]++;
+            }
+        }
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    /**
+     * Renders the histogram in the Prometheus text format
+     * @returns {string} the lines describing the histogram
+     */
+    render() {
+        let lines = ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' histogram'];
+        for(let [labels, histogram] of this.values) {
+            let prefix = (labels !== '' ? labels + ',' : '');
+            for(let i = 0; i < this.buckets.length; i++) {
+                lines.push(this.name + '_bucket{' + prefix + 'le="' + this.buckets[i] + '"} ' + histogram.counts[i]);
+            }
+            lines.push(this.name + '_bucket{' + prefix + 'le="+Inf"} ' + histogram.count);
+            lines.push(this.name + '_sum' + (labels !== '' ? '{' + labels + '}' : '') + ' ' + histogram.sum);
+            lines.push(this.name + '_count' + (labels !== '' ? '{' + labels + '}' : '') + ' ' + histogram.count);
+        }
+        return lines.join('\n');
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// APIMetrics CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class collects metrics about the server and renders them in the Prometheus text format.
+ * Applications can register metrics of their own with counter(), gauge() and histogram(),
+ * values that are expensive to keep up to date can be set by a collector right before they are rendered.
+ */
+class APIMetrics {
+    /**
+     * Creates a new instance of APIMetrics with the metrics of the server
+     */
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+
+        this.methodCalls = this.counter('md_api_method_calls_total', 'Number of method calls by outcome and error code', ['method', 'outcome', 'code']);
+        this.methodDuration = this.histogram('md_api_method_duration_seconds', 'Duration of method calls in seconds', ['method']);
+        this.requestsInFlight = this.gauge('md_api_requests_in_flight', 'Number of HTTP-requests currently being handled');
+        this.requestsInFlight.set({}, 0);
+        this.queries = this.counter('md_api_db_queries_total', 'Number of database queries by outcome', ['outcome']);
+        this.queryDuration = this.histogram('md_api_db_query_duration_seconds', 'Duration of database queries in seconds');
+        this.transactions = this.counter('md_api_db_transactions_total', 'Number of finished database transactions by result', ['result']);
+        this.sessionsActive = this.gauge('md_api_sessions_active', 'Number of sessions that have not expired');
+        this.webSocketConnections = this.gauge('md_api_websocket_connections', 'Number of open WebSocket-connections');
+    }
+
+    // ---------------------------------------------------------------------------------
+    // REGISTRY
+    // ---------------------------------------------------------------------------------
+    /**
+     * Registers a new counter
+     * @param {string} name name of the metric
+     * @param {string} help description of the metric
+     * @param {string[]} [labelNames=[]] names of the labels of the metric
+     * @returns {APICounter} the counter
+     */
+    counter(name, help, labelNames = []) {
+        return this.register(new APICounter(name, help, 'counter', labelNames));
+    }
+
+    /**
+     * Registers a new gauge
+     * @param {string} name name of the metric
+     * @param {string} help description of the metric
+     * @param {string[]} [labelNames=[]] names of the labels of the metric
+     * @returns {APIGauge} the gauge
+     */
+    gauge(name, help, labelNames = []) {
+        return this.register(new APIGauge(name, help, 'gauge', labelNames));
+    }
+
+    /**
+     * Registers a new histogram
+     * @param {string} name name of the metric
+     * @param {string} help description of the metric
+     * @param {string[]} [labelNames=[]] names of the labels of the metric
+     * @param {number[]} [buckets] upper bounds of the buckets, in ascending order
+     * @returns {APIHistogram} the histogram
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new APIHistogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Adds a metric to the registry
+     * @param {APIMetric} metric the metric
+     * @returns {APIMetric} the metric
+     */
+    register(metric) {
+        if(this.metrics.has(metric.name)) {
+            throw new Error('A metric with the name ' + metric.name + ' already exists');
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Adds a collector that is called every time the metrics are rendered, e.g. to set gauges from the database
+     * @param {function(): Promise} collector async function that updates metrics
+     */
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Runs all collectors and renders all metrics in the Prometheus text format
+     * @async
+     * @returns {string} the metrics
+     */
+    async render() {
+        for(let collector of this.collectors) {
+            try {
+                await collector();
+            } catch(err) {
+                logger.error('Error collecting metrics', { error : err });
+            }
+        }
+        return [...this.metrics.values()].map((metric) => {
+            return metric.render();
+        }).join('\n') + '\n';
+    }
+
+    // ---------------------------------------------------------------------------------
+    // SERVER METRICS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Records a finished method call
+     * @param {string} path path of the method
+     * @param {APIResponse|null} methodResponse the response of the method
+     * @param {number} duration milliseconds the call took
+     */
+    methodCalled(path, methodResponse, duration) {
+        let success = (methodResponse !== null && methodResponse.success === true);
+        this.methodCalls.inc({
+            method : path,
+            outcome : (success ? 'success' : 'error'),
+            code : (!success && methodResponse !== null && methodResponse.code !== undefined && methodResponse.code !== null ? methodResponse.code : '')
+        });
+        this.methodDuration.observe({ method : path }, duration / 1000);
+    }
+
+    /**
+     * Counts an HTTP-request as in flight until its response is finished
+     * @param {Object} response the response of the request
+     */
+    trackRequest(response) {
+        this.requestsInFlight.inc();
+        let finished = false;
+        let finish = () => {
+            if(!finished) {
+                finished = true;
+                this.requestsInFlight.inc({}, -1);
+            }
+        };
+        response.on('finish', finish);
+        response.on('close', finish);
+    }
+
+    /**
+     * Records a finished database query
+     * @param {boolean} success whether the query succeeded
+     * @param {number} duration seconds the query took
+     */
+    queryFinished(success, duration) {
+        this.queries.inc({ outcome : (success ? 'success' : 'error') });
+        this.queryDuration.observe({}, duration);
+    }
+
+    /**
+     * Records a finished database transaction
+     * @param {string} result 'commit' or 'rollback'
+     */
+    transactionFinished(result) {
+        this.transactions.inc({ result : result });
+    }
+}
+
+module.exports = new APIMetrics();
\ No newline at end of file
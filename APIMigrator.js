@@ -0,0 +1,151 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const config = require('./APIConfig.js');
+const db = require('./APIDatabase.js');
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// APIMigrator CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class creates and upgrades the database schema required by the APIModules.
+ * Every APIModule can register numbered migrations, the migrator keeps track of the migrations
+ * that were already applied in the table api_schema_migrations and applies the missing ones in order.
+ */
+class APIMigrator {
+    /**
+     * @typedef {Object} APIMigration
+     * @property {integer} version Number of the migration, migrations of a module are applied in ascending order of their versions
+     * @property {string} description Short description of what the migration does
+     * @property {string|string[]|function(APIDatabaseConnection): Promise} up SQL-Statement(s) to run,
+     * or an async function that receives the connection the migration runs on
+     */
+    /**
+     * Creates a new instance of the APIMigrator
+     */
+    constructor() {
+        // Name of the MySQL-lock that prevents multiple servers from migrating at the same time
+        this.lockName = 'md_api_server_migrations';
+        // Seconds to wait for the lock
+        this.lockTimeout = 60;
+    }
+
+    /**
+     * Applies all migrations of the given modules that have not been applied yet.
+     * Modules are migrated in the order they are passed, which is the order they were added to the APIServer.
+     * @async
+     * @param {APIModule[]} modules Modules to apply the migrations of
+     */
+    async migrate(modules) {
+        let connection = await db.getConnection();
+        let locked = false;
+        try {
+            // make sure no other server migrates the same database concurrently
+            let lockResult = await connection.query('SELECT GET_LOCK(?, ?) AS locked', this.lockName, this.lockTimeout);
+            if(lockResult[0].locked !== 1) {
+                throw new Error('Could not acquire the lock for migrating the database');
+            }
+            locked = true;
+
+            await connection.query(
+                'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_schema_migrations (' +
+                '  scope VARCHAR(100) NOT NULL,' +
+                '  version INT UNSIGNED NOT NULL,' +
+                '  description VARCHAR(255) NULL,' +
+                '  applied_date DATETIME NOT NULL,' +
+                '  PRIMARY KEY (scope, version)' +
+                ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+            );
+
+            for(let module of modules) {
+                if(module.migrations.length > 0) {
+                    await this.migrateModule(connection, module);
+                }
+            }
+        } finally {
+            // the connection goes back to the pool even if the lock can not be released
+            try {
+                if(locked) {
+                    await connection.query('SELECT RELEASE_LOCK(?)', this.lockName);
+                }
+            } finally {
+                connection.release();
+            }
+        }
+    }
+
+    /**
+     * Applies the missing migrations of a single module
+     * @async
+     * @param {APIDatabaseConnection} connection Connection to run the migrations on
+     * @param {APIModule} module Module to apply the migrations of
+     */
+    async migrateModule(connection, module) {
+        let appliedResult = await connection.query('SELECT version FROM '+config.db.auth_database+'.api_schema_migrations WHERE scope=?', module.name);
+        let appliedVersions = appliedResult.map((row) => {
+            return row.version;
+        });
+
+        let migrations = [...module.migrations].sort((a, b) => {
+            return a.version - b.version;
+        });
+        for(let migration of migrations) {
+            if(appliedVersions.includes(migration.version)) {
+                continue;
+            }
+
+            logger.info('Applying migration', { module : module.name, version : migration.version, description : migration.description });
+            // Note that MySQL commits DDL-statements implicitly, so only data changes can be rolled back
+            await connection.startTransaction();
+            try {
+                if(typeof migration.up === 'function') {
+                    await migration.up(connection);
+                } else {
+                    let statements = (Array.isArray(migration.up) ? migration.up : [migration.up]);
+                    for(let statement of statements) {
+                        await connection.query(statement);
+                    }
+                }
+                await connection.query(
+                    'INSERT INTO '+config.db.auth_database+'.api_schema_migrations (scope, version, description, applied_date) VALUES (?, ?, ?, NOW())',
+                    module.name, migration.version, migration.description
+                );
+                await connection.commit();
+            } catch(err) {
+                await connection.rollback();
+                throw new Error('Migration ' + migration.version + ' of module ' + module.name + ' failed' + (err instanceof Error ? ': ' + err.message : ''));
+            }
+        }
+    }
+
+    // ---------------------------------------------------------------------------------
+    // HELPERS FOR MIGRATIONS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Checks whether a table or view exists in the auth-database
+     * @async
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the query on
+     * @param {string} tableName name of the table or view
+     * @returns {boolean} true if the table exists, false otherwise
+     */
+    async tableExists(tx, tableName) {
+        let result = await tx.query('SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA=? AND TABLE_NAME=?', config.db.auth_database, tableName);
+        return result.length > 0;
+    }
+
+    /**
+     * Checks whether a column exists in a table of the auth-database
+     * @async
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the query on
+     * @param {string} tableName name of the table
+     * @param {string} columnName name of the column
+     * @returns {boolean} true if the column exists, false otherwise
+     */
+    async columnExists(tx, tableName, columnName) {
+        let result = await tx.query('SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME=? AND COLUMN_NAME=?', config.db.auth_database, tableName, columnName);
+        return result.length > 0;
+    }
+};
+
+module.exports = new APIMigrator();
\ No newline at end of file
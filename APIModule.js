@@ -1,6 +1,18 @@
+/**
+ * This class bundles APIMethods that belong together, as well as the migrations
+ * that create and upgrade the database tables they use
+ */
 class APIModule {
-    constructor() {
+    /**
+     * Creates a new APIModule
+     * @param {string|null} [name=null] Unique name of the module, required if the module registers migrations
+     * because the applied migrations are tracked under this name
+     */
+    constructor(name = null) {
+        this.name = name;
         this.methods = [];
+        this.migrations = [];
+        this.types = [];
     }
 
     addMethod(method) {
@@ -11,6 +23,34 @@ class APIModule {
             this.addMethod(method);
         });
     }
+
+    /**
+     * Registers a migration of the database schema used by this module
+     * @param {APIMigration} migration the migration to add
+     */
+    addMigration(migration) {
+        if(this.name === null) {
+            throw new Error('Only APIModules with a name can register migrations');
+        }
+        if(this.migrations.some((existing) => { return existing.version === migration.version; })) {
+            throw new Error('Migration ' + migration.version + ' is registered twice in module ' + this.name);
+        }
+        this.migrations.push(migration);
+    }
+    addMigrations(migrations) {
+        migrations.forEach((migration) => {
+            this.addMigration(migration);
+        });
+    }
+
+    /**
+     * Registers a parameter type used by the methods of this module, it is available to all modules once the module is added to the server
+     * @param {string} name name of the type, used in the type-property of parameters
+     * @param {APIType} type the type with its validator and coercer
+     */
+    addType(name, type) {
+        this.types.push({ name : name, type : type });
+    }
 }
 
 module.exports = APIModule;
\ No newline at end of file
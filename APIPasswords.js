@@ -0,0 +1,187 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const crypto = require('crypto');
+const config = require('./APIConfig.js');
+
+// ---------------------------------------------------------------------------------
+// APIPasswords CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class hashes and verifies passwords with salted, slow key derivation functions.
+ * Hashes are stored as strings that contain the algorithm and its parameters, so they can still be
+ * verified after the configuration has changed:
+ * - scrypt$N$r$p$salt$hash
+ * - pbkdf2$digest$iterations$salt$hash
+ * Legacy hashes (unsalted hex-encoded sha256) are verified as well, but should be upgraded with hash().
+ */
+class APIPasswords {
+    /**
+     * Creates a new instance of APIPasswords
+     */
+    constructor() {}
+
+    /**
+     * Hashes a password with the algorithm configured in config.passwords.algorithm
+     * @async
+     * @param {string} password the password to hash
+     * @returns {string} the hash, including algorithm, parameters and salt
+     */
+    async hash(password) {
+        let salt = crypto.randomBytes(config.passwords.salt_length);
+        switch(config.passwords.algorithm) {
+            case 'scrypt': {
+                let { N, r, p } = config.passwords.scrypt;
+                let key = await scrypt(password, salt, config.passwords.key_length, N, r, p);
+                return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+            }
+            case 'pbkdf2': {
+                let { digest, iterations } = config.passwords.pbkdf2;
+                let key = await pbkdf2(password, salt, iterations, config.passwords.key_length, digest);
+                return ['pbkdf2', digest, iterations, salt.toString('base64'), key.toString('base64')].join('$');
+            }
+            default:
+                throw new Error('Unknown password hashing algorithm ' + config.passwords.algorithm);
+        }
+    }
+
+    /**
+     * Verifies a password against a stored hash
+     * @async
+     * @param {string} password the password to verify
+     * @param {string} storedHash the stored hash, as created by hash(), or a legacy sha256 hash
+     * @returns {boolean} true if the password matches the hash
+     */
+    async verify(password, storedHash) {
+        if(typeof password !== 'string' || typeof storedHash !== 'string') {
+            return false;
+        }
+        if(this.isLegacy(storedHash)) {
+            // legacy hashes are the value the client derived from the password
+            return safeEqual(password.toLowerCase(), storedHash.toLowerCase());
+        }
+
+        let parts = storedHash.split('$');
+        let key = null;
+        let expected = null;
+        switch(parts[0]) {
+            case 'scrypt':
+                if(parts.length !== 6) {
+                    return false;
+                }
+                expected = Buffer.from(parts[5], 'base64');
+                key = await scrypt(password, Buffer.from(parts[4], 'base64'), expected.length, parseInt(parts[1]), parseInt(parts[2]), parseInt(parts[3]));
+                break;
+            case 'pbkdf2':
+                if(parts.length !== 5) {
+                    return false;
+                }
+                expected = Buffer.from(parts[4], 'base64');
+                key = await pbkdf2(password, Buffer.from(parts[3], 'base64'), parseInt(parts[2]), expected.length, parts[1]);
+                break;
+            default:
+                return false;
+        }
+        return crypto.timingSafeEqual(key, expected);
+    }
+
+    /**
+     * Verifies the response to a login-challenge, which is sha256(storedHash + loginToken).
+     * This only works for legacy hashes, since the client must be able to compute the stored hash.
+     * @param {string} storedHash the stored legacy hash
+     * @param {string} loginToken the login-token issued to the client
+     * @param {string} challengeResponse the sha256-hash sent by the client
+     * @returns {boolean} true if the response is correct
+     */
+    verifyChallenge(storedHash, loginToken, challengeResponse) {
+        if(!this.isLegacy(storedHash) || typeof challengeResponse !== 'string') {
+            return false;
+        }
+        let expected = crypto.createHash('sha256').update(storedHash + loginToken).digest('hex');
+        return safeEqual(expected, challengeResponse.toLowerCase());
+    }
+
+    /**
+     * Checks whether a stored hash is a legacy unsalted sha256 hash
+     * @param {string} storedHash the stored hash
+     * @returns {boolean} true if the hash is a legacy hash
+     */
+    isLegacy(storedHash) {
+        return typeof storedHash === 'string' && storedHash.match(/^[A-Fa-f0-9]{64}$/) !== null;
+    }
+
+    /**
+     * Checks whether a stored hash should be replaced by a new one, because it is a legacy hash
+     * or was created with another algorithm or weaker parameters than the configured ones
+     * @param {string} storedHash the stored hash
+     * @returns {boolean} true if the password should be hashed again
+     */
+    needsRehash(storedHash) {
+        if(this.isLegacy(storedHash)) {
+            return true;
+        }
+        let parts = storedHash.split('$');
+        if(parts[0] !== config.passwords.algorithm) {
+            return true;
+        }
+        switch(parts[0]) {
+            case 'scrypt':
+                return parseInt(parts[1]) !== config.passwords.scrypt.N
+                    || parseInt(parts[2]) !== config.passwords.scrypt.r
+                    || parseInt(parts[3]) !== config.passwords.scrypt.p;
+            case 'pbkdf2':
+                return parts[1] !== config.passwords.pbkdf2.digest
+                    || parseInt(parts[2]) !== config.passwords.pbkdf2.iterations;
+        }
+        return true;
+    }
+};
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Promisified version of crypto.scrypt
+ * @returns {Promise} Promise that resolves to the derived key as a Buffer
+ */
+function scrypt(password, salt, keyLength, N, r, p) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, { N : N, r : r, p : p, maxmem : 256 * N * r }, (err, key) => {
+            if(err) {
+                reject(err);
+            } else {
+                resolve(key);
+            }
+        });
+    });
+}
+
+/**
+ * Promisified version of crypto.pbkdf2
+ * @returns {Promise} Promise that resolves to the derived key as a Buffer
+ */
+function pbkdf2(password, salt, iterations, keyLength, digest) {
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, salt, iterations, keyLength, digest, (err, key) => {
+            if(err) {
+                reject(err);
+            } else {
+                resolve(key);
+            }
+        });
+    });
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} true if both strings are equal
+ */
+function safeEqual(a, b) {
+    let bufferA = Buffer.from(a);
+    let bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = new APIPasswords();
\ No newline at end of file
@@ -0,0 +1,289 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const config = require('./APIConfig.js');
+const db = require('./APIDatabase.js');
+
+// ---------------------------------------------------------------------------------
+// APIPermissions CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class resolves the permissions of users.
+ * The permission tree and the roles are loaded into memory at once and the effective permissions
+ * of every user are cached, so checking permissions does not cost any queries most of the time.
+ * Caches are only used for reads on the pool, reads inside a transaction always see the current state of the database.
+ */
+class APIPermissions {
+    /**
+     * @typedef {Object} PermissionModel
+     * @property {Map<string, string[]>} children keys of the child-permissions of each permission
+     * @property {Map<string, string[]>} roleIncludes keys of the roles included by each role
+     * @property {Map<string, Object[]>} rolePermissions permissions granted or denied by each role, as { permission_key, deny }
+     */
+    /**
+     * Creates a new instance of APIPermissions
+     */
+    constructor() {
+        this.model = null;
+        this.modelExpiration = 0;
+        // userID => { roles, permissions, expiration }
+        this.users = new Map();
+        // increased by every invalidation, so loads that started before an invalidation are not cached
+        this.generation = 0;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // CACHE
+    // ---------------------------------------------------------------------------------
+    /**
+     * Checks whether cached data can be used for reads on the given database handle
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle the data would be read from
+     * @returns {boolean} true if the cache shall be used
+     */
+    useCache(tx) {
+        return tx === db && config.permissions.cache === true;
+    }
+
+    /**
+     * Calculates when data loaded now expires from the cache
+     * @returns {number} timestamp in milliseconds, Infinity if cached data does not expire
+     */
+    expiration() {
+        let ttl = config.permissions.cache_ttl;
+        return (ttl !== undefined && ttl !== null ? Date.now() + ttl * 1000 : Infinity);
+    }
+
+    /**
+     * Removes cached permissions, so they are loaded from the database again on the next check.
+     * Call this whenever the permission-tables were changed outside of the API.
+     * @param {integer|null} [userID=null] ID of the user whose permissions changed, or null if the permission tree,
+     * the roles or the permissions of many users changed
+     */
+    invalidate(userID = null) {
+        this.generation++;
+        if(userID === null) {
+            this.model = null;
+            this.users.clear();
+        } else {
+            this.users.delete(userID);
+        }
+    }
+
+    // ---------------------------------------------------------------------------------
+    // MODEL
+    // ---------------------------------------------------------------------------------
+    /**
+     * Gets the permission tree and the roles
+     * @async
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @returns {PermissionModel} the permission tree and the roles
+     */
+    async getModel(tx = db) {
+        if(!this.useCache(tx)) {
+            return await this.loadModel(tx);
+        }
+        if(this.model === null || this.modelExpiration < Date.now()) {
+            let generation = this.generation;
+            let model = await this.loadModel(tx);
+            if(generation !== this.generation) {
+                return model;
+            }
+            this.model = model;
+            this.modelExpiration = this.expiration();
+        }
+        return this.model;
+    }
+
+    /**
+     * Loads the permission tree and the roles from the database
+     * @async
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
+     * @returns {PermissionModel} the permission tree and the roles
+     */
+    async loadModel(tx) {
+        let model = {
+            children : new Map(),
+            roleIncludes : new Map(),
+            rolePermissions : new Map()
+        };
+
+        let permissions = await tx.query('SELECT permission_key, parent_key FROM '+config.db.auth_database+'.api_permissions WHERE parent_key IS NOT NULL');
+        for(let permission of permissions) {
+            addToMap(model.children, permission.parent_key, permission.permission_key);
+        }
+        let includes = await tx.query('SELECT role_key, included_role_key FROM '+config.db.auth_database+'.api_role_includes');
+        for(let include of includes) {
+            addToMap(model.roleIncludes, include.role_key, include.included_role_key);
+        }
+        let rolePermissions = await tx.query('SELECT role_key, permission_key, deny FROM '+config.db.auth_database+'.api_role_permissions');
+        for(let rolePermission of rolePermissions) {
+            addToMap(model.rolePermissions, rolePermission.role_key, { permission_key : rolePermission.permission_key, deny : rolePermission.deny });
+        }
+        return model;
+    }
+
+    /**
+     * Gets all decendants of a permission in the permission tree
+     * @param {PermissionModel} model the permission tree
+     * @param {string} permission permission to get the decendants of
+     * @returns {string[]} Array containing all permissions that are a decendant of the given permission
+     */
+    getDecendants(model, permission) {
+        return collect(model.children, [permission]).slice(1);
+    }
+
+    /**
+     * Gets the given roles and all roles they include, directly or through other roles
+     * @param {PermissionModel} model the roles
+     * @param {string[]} roles keys of the roles to start with
+     * @returns {string[]} Array containing the given roles and all roles included by them
+     */
+    getIncludedRoles(model, roles) {
+        return collect(model.roleIncludes, roles);
+    }
+
+    /**
+     * Gets the given permissions and all of their decendants
+     * @param {PermissionModel} model the permission tree
+     * @param {string[]} permissions the permissions to expand
+     * @returns {string[]} the permissions and all of their decendants
+     */
+    expandPermissions(model, permissions) {
+        return collect(model.children, permissions);
+    }
+
+    // ---------------------------------------------------------------------------------
+    // USERS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Retrieves all permissions the user with the given id has
+     * @async
+     * @param {integer} userID ID of the user to get the permissions of
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @returns {string[]} Array of strings representing the permissions of the user
+     */
+    async getUserPermissions(userID, tx = db) {
+        return [...(await this.getUser(userID, tx)).permissions];
+    }
+
+    /**
+     * Retrieves all roles of the user with the given id, including the roles included by them
+     * @async
+     * @param {integer} userID ID of the user to get the roles of
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @returns {string[]} Array containing the keys of all roles of the user
+     */
+    async getUserRoles(userID, tx = db) {
+        return [...(await this.getUser(userID, tx)).roles];
+    }
+
+    /**
+     * Gets the roles and permissions of a user from the cache, or resolves them if they are not cached
+     * @async
+     * @param {integer} userID ID of the user
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
+     * @returns {Object} Object with the properties roles and permissions
+     */
+    async getUser(userID, tx) {
+        if(!this.useCache(tx)) {
+            return await this.resolveUser(userID, tx);
+        }
+        let cached = this.users.get(userID);
+        if(cached !== undefined && cached.expiration >= Date.now()) {
+            return cached;
+        }
+        let generation = this.generation;
+        let user = await this.resolveUser(userID, tx);
+        if(generation === this.generation) {
+            user.expiration = this.expiration();
+            this.users.set(userID, user);
+        }
+        return user;
+    }
+
+    /**
+     * Resolves the roles and permissions of a user.
+     * The permissions are the ones granted to the user directly or through its roles (including the roles they include)
+     * and their decendants in the permission tree. Permissions denied directly or through a role, and their decendants,
+     * are removed again, so a deny always overrides a grant.
+     * @async
+     * @param {integer} userID ID of the user
+     * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
+     * @returns {Object} Object with the properties roles and permissions
+     */
+    async resolveUser(userID, tx) {
+        let model = await this.getModel(tx);
+
+        let userRoles = await tx.query('SELECT role_key FROM '+config.db.auth_database+'.api_user_roles WHERE user_id=?', userID);
+        let roles = this.getIncludedRoles(model, userRoles.map((role) => {
+            return role.role_key;
+        }));
+
+        // collect everything granted or denied to the user and its roles
+        let grants = await tx.query('SELECT permission_key, deny FROM '+config.db.auth_database+'.api_user_permissions WHERE user_id=?', userID);
+        for(let role of roles) {
+            if(model.rolePermissions.has(role)) {
+                grants = grants.concat(model.rolePermissions.get(role));
+            }
+        }
+        let granted = [];
+        let denied = [];
+        for(let grant of grants) {
+            (grant.deny ? denied : granted).push(grant.permission_key);
+        }
+
+        // expand both through the permission tree, denies win
+        let deniedPermissions = new Set(collect(model.children, denied));
+        let permissions = collect(model.children, granted).filter((permission) => {
+            return !deniedPermissions.has(permission);
+        });
+
+        return {
+            roles : roles,
+            permissions : permissions
+        };
+    }
+};
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Adds a value to the array stored under a key of a map
+ * @param {Map} map the map
+ * @param {any} key the key
+ * @param {any} value the value to add
+ */
+function addToMap(map, key, value) {
+    if(!map.has(key)) {
+        map.set(key, []);
+    }
+    map.get(key).push(value);
+}
+
+/**
+ * Collects the given keys and everything reachable from them through the edges of a map.
+ * Every key is visited only once, so cycles can not cause an endless loop.
+ * @param {Map<string, string[]>} edges the keys reachable from each key
+ * @param {string[]} keys keys to start with
+ * @returns {string[]} the given keys followed by all keys reachable from them, without duplicates
+ */
+function collect(edges, keys) {
+    let result = [];
+    let visited = new Set();
+    let pending = [...keys];
+    while(pending.length > 0) {
+        let key = pending.shift();
+        if(visited.has(key)) {
+            continue;
+        }
+        visited.add(key);
+        result.push(key);
+        if(edges.has(key)) {
+            pending.push(...edges.get(key));
+        }
+    }
+    return result;
+}
+
+module.exports = new APIPermissions();
\ No newline at end of file
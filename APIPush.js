@@ -0,0 +1,159 @@
+// ---------------------------------------------------------------------------------
+// APIPush CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class keeps track of the WebSocket-connections of the clients and pushes events to them.
+ * Events can be pushed to all connections of a session, of a user, or to all sessions that subscribed to a channel.
+ */
+class APIPush {
+    /**
+     * Creates a new instance of APIPush
+     */
+    constructor() {
+        // all open connections, each one has a session property that is null for unauthenticated connections
+        this.connections = new Set();
+        // Map of channel-name => Set of session-ids subscribed to the channel
+        this.channels = new Map();
+    }
+
+    /**
+     * Registers a new WebSocket-connection
+     * @param {Object} connection the connection to register
+     */
+    addConnection(connection) {
+        this.connections.add(connection);
+    }
+    /**
+     * Removes a closed WebSocket-connection
+     * @param {Object} connection the connection to remove
+     */
+    removeConnection(connection) {
+        this.connections.delete(connection);
+    }
+
+    // ---------------------------------------------------------------------------------
+    // CHANNELS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Subscribes a session to a channel, all its connections will receive events pushed to the channel
+     * @param {integer} sessionID ID of the session to subscribe
+     * @param {string} channel name of the channel
+     */
+    subscribe(sessionID, channel) {
+        if(!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        this.channels.get(channel).add(sessionID);
+    }
+    /**
+     * Removes the subscription of a session to a channel
+     * @param {integer} sessionID ID of the session to unsubscribe
+     * @param {string} channel name of the channel
+     */
+    unsubscribe(sessionID, channel) {
+        let subscribers = this.channels.get(channel);
+        if(subscribers !== undefined) {
+            subscribers.delete(sessionID);
+            if(subscribers.size === 0) {
+                this.channels.delete(channel);
+            }
+        }
+    }
+    /**
+     * Removes all subscriptions of a session, e.g. after it was closed
+     * @param {integer} sessionID ID of the session
+     */
+    unsubscribeAll(sessionID) {
+        for(let channel of [...this.channels.keys()]) {
+            this.unsubscribe(sessionID, channel);
+        }
+    }
+
+    // ---------------------------------------------------------------------------------
+    // SESSIONS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Detaches all connections of a session that was deleted, e.g. by a logout or because its user was deactivated.
+     * The connections stay open but are not authenticated anymore, they receive a session_closed event.
+     * The subscriptions of the session are removed as well.
+     * @param {integer} sessionID ID of the session
+     * @returns {integer} number of connections that were detached
+     */
+    closeSession(sessionID) {
+        this.unsubscribeAll(sessionID);
+        let payload = JSON.stringify({ type : 'event', event : 'session_closed', data : null });
+        let count = 0;
+        for(let connection of this.connections) {
+            if(connection.session !== null && connection.session.session_id === sessionID) {
+                connection.session = null;
+                connection.token = null;
+                connection.send(payload);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // PUSH
+    // ---------------------------------------------------------------------------------
+    /**
+     * Pushes an event to all connections of a session
+     * @param {integer} sessionID ID of the session
+     * @param {string} event name of the event
+     * @param {any} [data=null] data of the event
+     * @returns {integer} number of connections the event was sent to
+     */
+    toSession(sessionID, event, data = null) {
+        return this.send((session) => {
+            return session.session_id === sessionID;
+        }, { type : 'event', event : event, data : data });
+    }
+    /**
+     * Pushes an event to all connections of all sessions of a user
+     * @param {integer} userID ID of the user
+     * @param {string} event name of the event
+     * @param {any} [data=null] data of the event
+     * @returns {integer} number of connections the event was sent to
+     */
+    toUser(userID, event, data = null) {
+        return this.send((session) => {
+            return session.user_id === userID;
+        }, { type : 'event', event : event, data : data });
+    }
+    /**
+     * Pushes an event to all connections of the sessions subscribed to a channel
+     * @param {string} channel name of the channel
+     * @param {string} event name of the event
+     * @param {any} [data=null] data of the event
+     * @returns {integer} number of connections the event was sent to
+     */
+    toChannel(channel, event, data = null) {
+        let subscribers = this.channels.get(channel);
+        if(subscribers === undefined) {
+            return 0;
+        }
+        return this.send((session) => {
+            return subscribers.has(session.session_id);
+        }, { type : 'event', channel : channel, event : event, data : data });
+    }
+
+    /**
+     * Sends a message to all authenticated connections whose session matches a filter
+     * @param {function(Object): boolean} filter callback that receives the session of a connection
+     * @param {Object} message the message to send
+     * @returns {integer} number of connections the message was sent to
+     */
+    send(filter, message) {
+        let payload = JSON.stringify(message);
+        let count = 0;
+        for(let connection of this.connections) {
+            if(connection.session !== null && filter(connection.session) && connection.send(payload)) {
+                count++;
+            }
+        }
+        return count;
+    }
+}
+
+module.exports = new APIPush();
\ No newline at end of file
@@ -0,0 +1,245 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const config = require('./APIConfig.js');
+const { ERROR_CODES } = require('./APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// APIMemoryRateLimitStore CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * Default store of the APIRateLimiter, keeps all counters in the memory of the process.
+ * Use a store backed by a shared database (e.g. redis) if multiple processes serve the API.
+ * A store must implement the async methods increment, get, set and delete.
+ */
+class APIMemoryRateLimitStore {
+    /**
+     * @typedef {Object} RateLimitCounter
+     * @property {integer} count value of the counter
+     * @property {number} expires timestamp in milliseconds at which the counter is reset
+     */
+    /**
+     * Creates a new, empty store
+     */
+    constructor() {
+        this.counters = new Map();
+        this.pruneInterval = setInterval(() => {
+            this.prune();
+        }, 60000);
+        this.pruneInterval.unref();
+    }
+
+    /**
+     * Increments a counter. A counter that does not exist or has expired starts at 1 and expires after ttl seconds.
+     * @async
+     * @param {string} key key of the counter
+     * @param {number} ttl seconds after which a new counter expires
+     * @returns {RateLimitCounter} the counter after incrementing it
+     */
+    async increment(key, ttl) {
+        let counter = await this.get(key);
+        if(counter === null) {
+            counter = { count : 0, expires : Date.now() + ttl * 1000 };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { ...counter };
+    }
+
+    /**
+     * Gets a counter
+     * @async
+     * @param {string} key key of the counter
+     * @returns {RateLimitCounter|null} the counter, or null if it does not exist or has expired
+     */
+    async get(key) {
+        let counter = this.counters.get(key);
+        if(counter === undefined || counter.expires <= Date.now()) {
+            this.counters.delete(key);
+            return null;
+        }
+        return counter;
+    }
+
+    /**
+     * Sets a counter to a value
+     * @async
+     * @param {string} key key of the counter
+     * @param {integer} count value of the counter
+     * @param {number} ttl seconds after which the counter expires
+     */
+    async set(key, count, ttl) {
+        this.counters.set(key, { count : count, expires : Date.now() + ttl * 1000 });
+    }
+
+    /**
+     * Deletes a counter
+     * @async
+     * @param {string} key key of the counter
+     */
+    async delete(key) {
+        this.counters.delete(key);
+    }
+
+    /**
+     * Removes all expired counters
+     */
+    prune() {
+        let now = Date.now();
+        for(let [key, counter] of this.counters) {
+            if(counter.expires <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// APIRateLimiter CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class limits how often clients can call methods and locks accounts after repeated failed logins
+ */
+class APIRateLimiter {
+    /**
+     * @typedef {Object} RateLimit
+     * @property {string} [by='ip'] what the calls are counted per: 'ip', 'session' or 'user'.
+     * Calls without a session are counted per IP
+     * @property {integer} limit maximum number of calls per window
+     * @property {number} window length of the window in seconds
+     */
+    /**
+     * @typedef {Object} RateLimitResult
+     * @property {boolean} passed true if the call may be executed
+     * @property {string} [reason] reason why the call was rejected
+     * @property {string} [errorCode] ERROR_CODES.RATE_LIMITED if the call was rejected
+     * @property {integer} [retryAfter] seconds after which the call can be tried again
+     */
+    /**
+     * Creates a new instance of APIRateLimiter
+     */
+    constructor() {
+        this.store = new APIMemoryRateLimitStore();
+    }
+
+    /**
+     * Replaces the store the counters are kept in
+     * @param {Object} store the new store, see APIMemoryRateLimitStore for the methods it must implement
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // METHODS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Counts a call of a method and checks whether it exceeds one of the rate limits of the method
+     * @async
+     * @param {APIMethod} method the called method
+     * @param {Object|null} session session of the caller
+     * @param {Object} request the request the call was made with
+     * @returns {RateLimitResult} Object representing whether the call may be executed
+     */
+    async check(method, session, request) {
+        if(!config.rate_limit.enabled || method.rateLimit === null) {
+            return { passed : true };
+        }
+        let limits = (Array.isArray(method.rateLimit) ? method.rateLimit : [method.rateLimit]);
+        for(let limit of limits) {
+            let key = 'method:' + method.path + ':' + this.clientKey(limit.by, session, request);
+            let counter = await this.store.increment(key, limit.window);
+            if(counter.count > limit.limit) {
+                return this.rejection('Too many calls of this method, please try again later', counter.expires);
+            }
+        }
+        return { passed : true };
+    }
+
+    /**
+     * Determines which client a call is counted for
+     * @param {string} [by='ip'] 'ip', 'session' or 'user'
+     * @param {Object|null} session session of the caller
+     * @param {Object} request the request the call was made with
+     * @returns {string} key identifying the client
+     */
+    clientKey(by = 'ip', session, request) {
+        if(session !== null && session !== undefined) {
+            if(by === 'session' && session.api_key_id !== undefined) {
+                return 'api_key:' + session.api_key_id;
+            }
+            if(by === 'session' && session.session_id !== undefined && session.session_id !== null) {
+                return 'session:' + session.session_id;
+            }
+            if(by === 'user' && session.user_id !== undefined && session.user_id !== null) {
+                return 'user:' + session.user_id;
+            }
+        }
+        return 'ip:' + (request !== null && request !== undefined ? request.ip : 'unknown');
+    }
+
+    // ---------------------------------------------------------------------------------
+    // LOGIN LOCKOUT
+    // ---------------------------------------------------------------------------------
+    /**
+     * Checks whether an account is locked because of failed logins
+     * @async
+     * @param {integer} userID ID of the user trying to log in
+     * @returns {RateLimitResult} Object representing whether the user may try to log in
+     */
+    async checkLogin(userID) {
+        if(!config.rate_limit.enabled) {
+            return { passed : true };
+        }
+        let lock = await this.store.get('login_lock:' + userID);
+        if(lock !== null) {
+            return this.rejection('Too many failed logins, the account is locked for now', lock.expires);
+        }
+        return { passed : true };
+    }
+
+    /**
+     * Records a failed login. After config.rate_limit.login.max_attempts failures the account is locked,
+     * the duration of the lock doubles with every further failure up to config.rate_limit.login.max_lockout seconds.
+     * @async
+     * @param {integer} userID ID of the user whose login failed
+     */
+    async loginFailed(userID) {
+        if(!config.rate_limit.enabled) {
+            return;
+        }
+        let settings = config.rate_limit.login;
+        let failures = await this.store.increment('login_failures:' + userID, settings.window);
+        if(failures.count >= settings.max_attempts) {
+            let lockout = Math.min(settings.lockout * Math.pow(2, failures.count - settings.max_attempts), settings.max_lockout);
+            await this.store.set('login_lock:' + userID, 1, lockout);
+        }
+    }
+
+    /**
+     * Forgets the failed logins of a user after a successful login
+     * @async
+     * @param {integer} userID ID of the user who logged in
+     */
+    async loginSucceeded(userID) {
+        await this.store.delete('login_failures:' + userID);
+        await this.store.delete('login_lock:' + userID);
+    }
+
+    /**
+     * Creates the result for a rejected call
+     * @param {string} reason reason why the call was rejected
+     * @param {number} expires timestamp in milliseconds at which the call can be tried again
+     * @returns {RateLimitResult} Object representing the rejection
+     */
+    rejection(reason, expires) {
+        return {
+            passed : false,
+            reason : reason,
+            errorCode : ERROR_CODES.RATE_LIMITED,
+            retryAfter : Math.max(1, Math.ceil((expires - Date.now()) / 1000))
+        };
+    }
+}
+
+module.exports = new APIRateLimiter();
\ No newline at end of file
@@ -5,21 +5,39 @@
 const express = require('express');
 const compression = require('compression');
 const url = require('url');
+const util = require('util');
 const qs = require('querystring');
 const http = require('http');
 const spdy = require('spdy');
 const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
 const cors = require('cors');
+const proxyAddr = require('proxy-addr');
+const { v4 : getUUID } = require('uuid');
 
 // Import other Modules
 const APIModule = require('./APIModule.js');
 const APIMethod = require('./APIMethod.js');
+const APIJsonRpc = require('./APIJsonRpc.js');
+const APIWebSocket = require('./APIWebSocket.js');
+const APISessionSweeper = require('./APISessionSweeper.js');
+const migrator = require('./APIMigrator.js');
+const documentation = require('./APIDocumentation.js');
 const { ERROR_CODES } = require('./APIConstants.js');
 
 // API-specific Singleton objects
 const db = require('./APIDatabase.js');
 const apiUtils = require('./APIUtils.js');
 const config = require('./APIConfig.js');
+const push = require('./APIPush.js');
+const mailer = require('./APIMailer.js');
+const rateLimiter = require('./APIRateLimiter.js');
+const audit = require('./APIAudit.js');
+const logger = require('./APILogger.js');
+const metrics = require('./APIMetrics.js');
+const types = require('./APITypes.js');
+const uploads = require('./APIUploads.js');
 
 // ---------------------------------------------------------------------------------
 // APIServer CLASS
@@ -34,6 +52,8 @@ class APIServer {
      * @property {string} user Username to use for MySQL-authentication
      * @property {string} password Password to use for MySQL-authentication
      * @property {string} auth_database Database that contains the the authorization tables
+     * @property {integer} [connection_limit=10] Maximum number of connections in the connection pool
+     * @property {boolean} [migrate=true] If set to true the migrations of all modules are applied when the server starts
      */
     /**
      * @typedef {Object} HTTPConfig
@@ -45,12 +65,156 @@ class APIServer {
      * @property {string} cert path to SSL certificate
      * @property {string} key path to SSL keyfile
      */
+    /**
+     * @typedef {Object} SessionConfig
+     * @property {integer} [idle_timeout=3600] Seconds after which a session expires if it is not extended
+     * @property {integer|null} [max_age=null] Seconds after its start after which a session expires no matter how often it was extended,
+     * null allows sessions to be extended forever
+     * @property {integer} [login_token_ttl=3600] Seconds a login-token issued by /session/request_login_token stays valid
+     * @property {boolean} [sliding_expiration=true] If true every request extends the session by idle_timeout,
+     * otherwise sessions are only extended by calls to /session/keep_alive
+     * @property {integer} [sweep_interval=300] Interval in seconds in which expired sessions and login-tokens are deleted,
+     * set to 0 to disable the sweeper
+     * @property {boolean} [token_in_query=true] If set to false session-tokens passed in the query-string are ignored,
+     * they have to be passed in the body, the Authorization-header or the session-cookie instead
+     * @property {SessionCookieConfig} [cookie] Configuration of the session-cookie
+     */
+    /**
+     * @typedef {Object} SessionCookieConfig
+     * @property {boolean} [enabled=false] If set to true the session-token is stored in an HttpOnly-cookie on login
+     * and the cookie is removed on logout. Requests carrying the cookie are authenticated with it
+     * @property {string} [name='md_api_session'] Name of the cookie
+     * @property {string} [same_site='strict'] SameSite-attribute of the cookie: 'strict', 'lax' or 'none'
+     * @property {boolean} [secure=true] If set to true the cookie is only sent over HTTPS
+     * @property {string|null} [domain=null] Domain-attribute of the cookie
+     * @property {string} [path='/'] Path-attribute of the cookie
+     */
+    /**
+     * @typedef {Object} ImpersonationConfig
+     * @property {boolean} [enabled=true] If set to false the as_user parameter is rejected for everyone
+     * @property {boolean} [allow_admins=false] If set to true users with the admin-flag can be impersonated
+     * @property {boolean} [restrict_to_subset=true] If set to true only users whose permissions the caller has as well can be impersonated
+     */
+    /**
+     * @typedef {Object} LoggingConfig
+     * @property {string} [level='info'] Minimum level of the messages that are logged: 'debug', 'info', 'warn' or 'error'
+     * @property {string} [format='text'] 'text' for human readable lines, 'json' for one JSON-object per line
+     * @property {string[]} [redact] Names of fields whose values are never logged, e.g. parameters like password or token
+     */
+    /**
+     * @typedef {Object} AuditConfig
+     * @property {boolean} [enabled=true] If set to false nothing is recorded in the audit log
+     * @property {boolean} [calls=true] If set to false only security events and calls made as other users are recorded
+     * @property {Array<string|Object>} [sinks=['database']] Where entries are written to: 'database' (table api_audit_log),
+     * 'file' (JSON-lines in audit.file) or objects with an async method write(entry)
+     * @property {string} [file='audit.log'] Path of the file the 'file'-sink writes to
+     * @property {string[]} [redact] Names of parameters whose values are never recorded
+     */
+    /**
+     * @typedef {Object} ApiKeysConfig
+     * @property {boolean} [enabled=true] If set to false API keys are neither accepted nor can they be created
+     */
+    /**
+     * @typedef {Object} PermissionsConfig
+     * @property {boolean} [cache=true] If true the permission tree, the roles and the permissions of users are cached in memory
+     * @property {integer|null} [cache_ttl=60] Seconds after which cached permissions are loaded again, so changes made
+     * outside of the API take effect. null keeps them until they are invalidated
+     */
+    /**
+     * @typedef {Object} LoginLockoutConfig
+     * @property {integer} [max_attempts=5] Number of failed logins of an account after which it is locked
+     * @property {integer} [window=900] Seconds in which failed logins are counted
+     * @property {integer} [lockout=60] Seconds the account is locked after max_attempts failed logins,
+     * every further failed login doubles this
+     * @property {integer} [max_lockout=3600] Maximum number of seconds an account is locked
+     */
+    /**
+     * @typedef {Object} RateLimitConfig
+     * @property {boolean} [enabled=true] If set to false neither the rate limits of methods nor the login lockout are applied
+     * @property {LoginLockoutConfig} [login] Configuration of the lockout after failed logins
+     */
+    /**
+     * @typedef {Object} UsersConfig
+     * @property {boolean} [registration=false] If set to true users can create accounts themselves with /users/register
+     * @property {integer} [min_password_length=8] Minimum length of new passwords
+     * @property {integer} [activation_ttl=86400] Seconds an activation-token sent after the registration stays valid
+     * @property {integer} [password_reset_ttl=3600] Seconds a password-reset-token stays valid
+     * @property {string|null} [activation_url=null] URL sent in activation-mails, {token} is replaced with the token.
+     * If this is null the token itself is sent
+     * @property {string|null} [password_reset_url=null] URL sent in password-reset-mails, {token} is replaced with the token.
+     * If this is null the token itself is sent
+     */
+    /**
+     * @typedef {Object} JsonRpcConfig
+     * @property {string|null} [path='/jsonrpc'] Path of the JSON-RPC 2.0 endpoint, set to null to disable it
+     */
+    /**
+     * @typedef {Object} WebSocketConfig
+     * @property {string|null} [path='/ws'] Path WebSocket-connections are accepted on, set to null to disable WebSockets
+     * @property {integer} [heartbeat_interval=30] Interval in seconds in which connections are pinged, connections that
+     * did not answer the previous ping are closed
+     */
+    /**
+     * @typedef {Object} OpenAPIConfig
+     * @property {string|null} [path='/openapi.json'] Path the generated OpenAPI document is served on, set to null to disable it
+     * @property {string} [title='md_api_server'] Title of the API in the OpenAPI document
+     * @property {string} [version='1.0.0'] Version of the API in the OpenAPI document
+     */
+    /**
+     * @typedef {Object} HealthConfig
+     * @property {string|null} [live_path='/health/live'] Path of the liveness-check, set to null to disable it
+     * @property {string|null} [ready_path='/health/ready'] Path of the readiness-check, set to null to disable it
+     * @property {number} [timeout=5] Seconds after which the database is considered unreachable by the checks
+     */
+    /**
+     * @typedef {Object} ShutdownConfig
+     * @property {number} [timeout=30] Seconds to wait for requests, method-executions and transactions in flight before
+     * the remaining connections are closed
+     * @property {string[]} [signals=['SIGTERM', 'SIGINT']] Signals that shut the server down and end the process,
+     * set to [] to call close() yourself
+     */
+    /**
+     * @typedef {Object} MetricsConfig
+     * @property {string|null} [path='/metrics'] Path the metrics are served on in the Prometheus text format, set to null to disable them
+     * @property {integer|null} [port=null] If set the metrics are served by an HTTP-server of their own on this port
+     * instead of the HTTP- and HTTPS-servers of the API
+     * @property {string|null} [permission='metrics'] Permission required to read the metrics, set to null to allow everyone to read them
+     */
+    /**
+     * @typedef {Object} BodyConfig
+     * @property {integer} [max_size=1000000] Maximum size in bytes of JSON- and urlencoded bodies and of the fields of multipart-bodies,
+     * the connection is closed if a body is larger
+     */
+    /**
+     * @typedef {Object} UploadsConfig
+     * @property {integer} [max_file_size=10485760] Maximum size in bytes of a file uploaded in a multipart/form-data request
+     * @property {integer} [max_files=10] Maximum number of files uploaded in one request
+     * @property {string|null} [directory=null] Directory uploaded files are stored in, null for the temporary directory of the system
+     */
     /**
      * @typedef {Object} APIConfig
      * @property {DatabaseConfig} db MySQL-Database Configuration
+     * @property {SessionConfig} [session] Session configuration
+     * @property {ImpersonationConfig} [impersonation] Configuration of the as_user parameter
+     * @property {AuditConfig} [audit] Configuration of the audit log
+     * @property {ApiKeysConfig} [api_keys] Configuration of API keys
+     * @property {PermissionsConfig} [permissions] Configuration of the permission cache
+     * @property {RateLimitConfig} [rate_limit] Configuration of rate limits and the login lockout
+     * @property {UsersConfig} [users] Configuration of the user self-service methods
+     * @property {JsonRpcConfig} [jsonrpc] JSON-RPC configuration
+     * @property {WebSocketConfig} [websocket] WebSocket configuration
+     * @property {OpenAPIConfig} [openapi] Configuration of the generated OpenAPI document
+     * @property {MetricsConfig} [metrics] Configuration of the metrics
+     * @property {BodyConfig} [body] Configuration of request bodies
+     * @property {UploadsConfig} [uploads] Configuration of file uploads
+     * @property {HealthConfig} [health] Configuration of the liveness- and readiness-checks
+     * @property {ShutdownConfig} [shutdown] Configuration of the graceful shutdown
      * @property {HTTPConfig} [http] HTTP-Server configuration, if this is left out no HTTP server will be started
      * @property {HTTPSConfig} [https] HTTPS-Server configuration, if this is left out no HTTPS server will be started
-     * @property {boolean} [debug=false] If set to true the output will be more verbose
+     * @property {boolean|integer|string} [trust_proxy=false] Passed to the 'trust proxy' setting of express,
+     * set it if the server runs behind a reverse proxy so the IPs of the clients are used instead of the IP of the proxy
+     * @property {boolean} [debug=false] If set to true messages with the level 'debug' are logged, regardless of logging.level
+     * @property {LoggingConfig} [logging] Configuration of the log
      */
     /**
      * Creates a new instance of an MD-API-Server
@@ -61,7 +225,15 @@ class APIServer {
 
         this.serverHTTP = null;
         this.serverHTTPS = null;
+        this.serverMetrics = null;
         this.app = null;
+        // 'stopped', 'starting', 'running' or 'stopping'
+        this.state = 'stopped';
+        this.closing = null;
+        this.signalHandler = null;
+        this.sweeper = new APISessionSweeper();
+        this.jsonRpc = new APIJsonRpc(this);
+        this.webSocket = null;
 
         this.methods = [];
         this.modules = [];
@@ -69,16 +241,25 @@ class APIServer {
         // add the default modules
         this.addModule(require('./default_api_modules/multicall.js'));
         this.addModule(require('./default_api_modules/session.js'));
+        this.addModule(require('./default_api_modules/users.js'));
+        this.addModule(require('./default_api_modules/introspection.js'));
+        this.addModule(require('./default_api_modules/admin.js'));
+
+        // gauges that are only updated when the metrics are requested
+        metrics.addCollector(async () => {
+            let sessionResult = await db.query('SELECT COUNT(*) AS sessions FROM '+config.db.auth_database+'.api_sessions WHERE NOT '+apiUtils.sessionExpiredSQL());
+            metrics.sessionsActive.set({}, sessionResult[0].sessions);
+            metrics.webSocketConnections.set({}, push.connections.size);
+        });
     }
 
     /**
-     * Writes a message to the console if config.debug is true
-     * @param {...string} msg The message to write to the console
+     * Logs a message with the level 'debug'
+     * @deprecated use logger.debug() instead, which takes the fields of the message separately so they can be redacted
+     * @param {...any} msg The message, the parts are joined like console.log() does
      */
     debug(...msg) {
-        if(config.debug) {
-            console.log('[DEBUG]', ...msg);
-        }
+        logger.debug(util.format(...msg));
     }
 
     /**
@@ -86,7 +267,7 @@ class APIServer {
      * @param {APIMethod} method the method to add
      */
     addMethod(method) {
-        this.debug('Added new method ' + method.path);
+        logger.debug('Added new method', { method : method.path });
         this.methods.push(method);
     }
     /**
@@ -104,7 +285,13 @@ class APIServer {
      * @param {APIModule} module the module to add
      */
     addModule(module) {
+        if(module.name !== null && this.modules.some((existing) => { return existing.name === module.name; })) {
+            throw new Error('A module with the name ' + module.name + ' has already been added');
+        }
         this.modules.push(module);
+        for(let { name, type } of module.types) {
+            types.register(name, type);
+        }
         this.addMethods(module.methods);
     }
     /**
@@ -118,20 +305,41 @@ class APIServer {
     }
 
     /**
-     * Starts the API-server
+     * Starts the API-server: connects to the database, migrates the schema and starts listening.
+     * If one of the steps fails everything that was started is closed again.
+     * @returns {Promise} Promise that resolves when the servers are listening, or is rejected if the server could not be started
      */
     start() {
-        this.debug('Starting the API-Server');
+        if(this.state !== 'stopped') {
+            return Promise.reject(new Error('The API-Server has already been started'));
+        }
+        this.state = 'starting';
+        this.registerSignalHandlers();
+        logger.debug('Starting the API-Server');
         // Connect to the database
-        db.connect()
+        return db.connect()
+        .then(() => {
+            logger.debug('Database has been connected');
+
+            // Create or upgrade the database schema of all modules
+            if(config.db.migrate === false) {
+                return;
+            }
+            return migrator.migrate(this.modules);
+        })
         .then(() => {
-            this.debug('Database has been connected');
+            logger.debug('Database schema is up to date');
 
             // ---------------------------------------------------------------------------------
             // INITIALIZE API
             // ---------------------------------------------------------------------------------
             this.app = express();
 
+            // Behind a reverse proxy the IP of the client (used e.g. for rate limits) is taken from X-Forwarded-For
+            if(config.trust_proxy !== undefined && config.trust_proxy !== false) {
+                this.app.set('trust proxy', config.trust_proxy);
+            }
+
             // Set md_api_server in the x-powered-by header
             this.app.set('x-powered-by', false);
             this.app.use((req, res, next) => {
@@ -139,19 +347,71 @@ class APIServer {
                 next();
             });
 
+            // Every request gets an ID that is returned in X-Request-Id and added to all messages logged while handling it
+            this.app.use((req, res, next) => {
+                this.assignRequestID(req, res);
+                metrics.trackRequest(res);
+                next();
+            });
+
             // Allow CORS for all methods
             this.app.use((req, res, next) => {
                 res.header('Access-Control-Allow-Origin', '*');
-                res.header('Access-Control-Allow-Headers', 'Content-Length, Authorization, Origin, X-Requested-With, Content-Type, Accept');
+                res.header('Access-Control-Allow-Headers', 'Content-Length, Authorization, Origin, X-Requested-With, X-Request-Id, Content-Type, Accept');
+                res.header('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
                 res.header('Access-Control-Allow-Methods', 'POST,GET,OPTIONS');
                 next();
             });
 
+            // Liveness- and readiness-checks, e.g. for load balancers or kubernetes
+            if(config.health.live_path !== undefined && config.health.live_path !== null) {
+                this.app.get(config.health.live_path, (request, response) => {
+                    this.handleHealthRequest(request, response, false);
+                });
+            }
+            if(config.health.ready_path !== undefined && config.health.ready_path !== null) {
+                this.app.get(config.health.ready_path, (request, response) => {
+                    this.handleHealthRequest(request, response, true);
+                });
+            }
+
+            // Requests arriving while the server shuts down are rejected, so it only has to finish the ones in flight
+            this.app.use((req, res, next) => {
+                if(this.state === 'stopping') {
+                    res.set('Connection', 'close');
+                    res.status(503).json(apiUtils.makeClientResponse(apiUtils.error('The server is shutting down', ERROR_CODES.SHUTTING_DOWN)));
+                    return;
+                }
+                next();
+            });
+
             // Create HTTP-Handlers for all registered methods
             for(let method of this.methods) {
                 this.createMethodHandler(method);
             }
 
+            // OpenAPI document describing all registered methods
+            if(config.openapi.path !== undefined && config.openapi.path !== null) {
+                this.app.get(config.openapi.path, (request, response) => {
+                    response.json(documentation.buildOpenAPI(this.methods));
+                    response.end();
+                });
+            }
+
+            // Metrics in the Prometheus text format, either on the API-servers or on a port of their own
+            if(config.metrics.path !== undefined && config.metrics.path !== null && (config.metrics.port === undefined || config.metrics.port === null)) {
+                this.app.get(config.metrics.path, (request, response) => {
+                    this.handleMetricsRequest(request, response);
+                });
+            }
+
+            // JSON-RPC 2.0 endpoint for all registered methods
+            if(config.jsonrpc.path !== undefined && config.jsonrpc.path !== null) {
+                this.app.post(config.jsonrpc.path, (request, response) => {
+                    this.jsonRpc.handleRequest(request, response);
+                });
+            }
+
             // Compress the response
             this.app.use(compression());
 
@@ -164,8 +424,7 @@ class APIServer {
             // Launch HTTP Server
             if(config.http !== undefined && config.http !== null && config.http.port !== undefined && config.http.port !== null) {
                 this.serverHTTP = http.createServer(this.app);
-                this.serverHTTP.listen(config.http.port);
-                console.log('HTTP-Server running on port', config.http.port);
+                this.attachWebSocket(this.serverHTTP);
             }
 
             // Launch HTTPS Server
@@ -174,27 +433,89 @@ class APIServer {
                     key : fs.readFileSync(config.https.key),
                     cert : fs.readFileSync(config.https.cert)
                 }, this.app);
-                this.serverHTTPS.listen(config.https.port);
-                console.log('HTTPS-Server running on port', config.https.port);
+                this.attachWebSocket(this.serverHTTPS);
             }
 
+            // Launch Metrics Server
+            if(config.metrics.path !== undefined && config.metrics.path !== null && config.metrics.port !== undefined && config.metrics.port !== null) {
+                this.serverMetrics = http.createServer((request, response) => {
+                    // express is not involved here, so set the ip like express does for the methods
+                    request.ip = this.resolveIP(request);
+                    this.assignRequestID(request, response);
+                    if(url.parse(request.url).pathname === config.metrics.path) {
+                        this.handleMetricsRequest(request, response);
+                    } else {
+                        response.writeHead(404, { 'Content-Type' : 'text/plain' });
+                        response.end('Not found\n');
+                    }
+                });
+            }
+
+            return Promise.all([
+                listen(this.serverHTTP, (config.http !== undefined && config.http !== null ? config.http.port : null), 'HTTP-Server'),
+                listen(this.serverHTTPS, (config.https !== undefined && config.https !== null ? config.https.port : null), 'HTTPS-Server'),
+                listen(this.serverMetrics, config.metrics.port, 'Metrics-Server')
+            ]);
+        })
+        .then(() => {
+            // Periodically remove expired sessions and login-tokens
+            this.sweeper.start();
+            this.state = 'running';
         })
         .catch((err) => {
-            console.log(err);
-            console.log('Error initializing the server, shutting down');
-            process.exit();
+            logger.error('Error initializing the server, shutting down', { error : err });
+            return this.close()
+            .then(() => {
+                throw err;
+            });
         });
+    }
 
-        // Register a handler to close all connections on SIGINT
-        process.on('SIGINT', () => {
+    /**
+     * Shuts the server down when the process receives one of the signals in config.shutdown.signals.
+     * The handlers are removed as soon as the shutdown begins, so sending the signal again ends the process immediately.
+     */
+    registerSignalHandlers() {
+        if(this.signalHandler !== null) {
+            return;
+        }
+        this.signalHandler = (signal) => {
+            logger.info('Received ' + signal + ', shutting down');
             this.close()
             .then(() => {
                 process.exit();
-            }).catch((e) => {
-                console.log(e);
-                process.exit();
             });
-        });
+        };
+        for(let signal of config.shutdown.signals) {
+            process.on(signal, this.signalHandler);
+        }
+    }
+
+    /**
+     * Removes the handlers registered by registerSignalHandlers()
+     */
+    removeSignalHandlers() {
+        if(this.signalHandler === null) {
+            return;
+        }
+        for(let signal of config.shutdown.signals) {
+            process.removeListener(signal, this.signalHandler);
+        }
+        this.signalHandler = null;
+    }
+
+    /**
+     * Accepts WebSocket-connections on the given server, if WebSockets are enabled
+     * @param {Object} server HTTP- or HTTPS-server
+     */
+    attachWebSocket(server) {
+        if(config.websocket.path === undefined || config.websocket.path === null) {
+            return;
+        }
+        if(this.webSocket === null) {
+            this.webSocket = new APIWebSocket(this);
+        }
+        this.webSocket.attach(server);
     }
 
     /**
@@ -220,7 +541,7 @@ class APIServer {
      * @param {APIMethod} method 
      */
     methodHandlerWrapper(request, response, method) {
-        this.debug('Request to', method.path);
+        request.log.debug('Request', { method : method.path });
 
         // Retrieve Parameters passed via GET
         let url_parts = null;
@@ -228,93 +549,526 @@ class APIServer {
         try {
             url_parts = url.parse(request.url, true);
             parms = url_parts.query;
+            // tokens in URLs end up in logs, so they can be restricted to the body, headers and cookies
+            if(config.session.token_in_query === false) {
+                delete parms.token;
+            }
         } catch(err) {
-            console.log('Error at start of request', err);
+            request.log.error('Error at start of request', { error : err });
             response.json(apiUtils.error('JS Error at start of request.', ERROR_CODES.HANDLER_ERROR));
             response.end();
+            return;
         }
-        
+
         // Retrieve Parameters from the body (POST)
-        let body = '';
-        request.on('data', (data) => {
-            try {
-                body += data;
+        this.readRequestParameters(request, method)
+        .then(async (bodyResult) => {
+            // uploaded files are removed once the response is sent, unless a handler kept them
+            if(bodyResult.files.length > 0) {
+                onResponseClosed(response, () => {
+                    uploads.cleanup(bodyResult.files);
+                });
+            }
+            if(!bodyResult.passed) {
+                response.json(apiUtils.makeClientResponse(apiUtils.error(bodyResult.reason, bodyResult.errorCode)));
+                response.end();
+                return;
+            }
 
-                // Too much POST data, kill the connection!
-                // 1e6 === 1 * Math.pow(10, 6) === 1 * 1000000 ~~~ 1MB
-                if (body.length > 1e6) {
-                    console.log('Connection was destroyed, post body was too large!');
-                    request.connection.destroy();
-                }
+            // merge GET- and POST-parmameters into one object
+            parms = {...parms, ...bodyResult.parms};
+            request.log.debug('Parameters', { parameters : parms });
+
+            // if an API key or a token was transmitted, try to load the corresponding session
+            let sessionResult = await this.authenticate(request, parms.token);
+            let session = sessionResult.session;
+            request.log.debug('Session', { session : session });
+
+            // tell the client why its session is gone if the method can not be called without one
+            if(sessionResult.errorCode !== undefined && method.requireSession) {
+                response.json(apiUtils.makeClientResponse(apiUtils.error(sessionResult.reason, sessionResult.errorCode)));
+                response.end();
                 return;
-            } catch(err) {
-                console.log('Error reading the request body', err);
-                response.json(apiUtils.error('JS error at reading request body.', ERROR_CODES.HANDLER_ERROR));
+            }
+
+            let methodResponse = await apiUtils.tryExecuteMethod(method, parms, session, request, response, this.methods);
+            if(methodResponse.session !== undefined) {
+                this.applySessionCookie(response, methodResponse.session);
+            }
+            if(methodResponse.retry_after !== undefined) {
+                response.set('Retry-After', String(methodResponse.retry_after));
+            }
+
+            if(methodResponse.success && methodResponse.download !== undefined) {
+                request.log.debug('Response', { download : { ...methodResponse.download, stream : (methodResponse.download.stream !== null) } });
+                this.sendDownload(request, response, methodResponse.download);
+                return;
+            }
+
+            request.log.debug('Response', { response : methodResponse });
+            response.json(apiUtils.makeClientResponse(methodResponse));
+            response.end();
+        })
+        .catch((err) => {
+            request.log.error('Error handling a request', { method : method.path, error : err });
+            if(!request.socket.destroyed && !response.headersSent) {
+                response.json(apiUtils.makeClientResponse(apiUtils.error('An Error occured while handling your request.', ERROR_CODES.HANDLER_ERROR)));
                 response.end();
             }
         });
-        request.on('end', async () => {
-            try {
-
-                // Parse body parms depending on content-type
-                let bodyParms = {};
-                if(request.headers['content-type'] !== undefined && request.headers['content-type'] !== null) {
-                    let contentType = request.headers['content-type'];
-                    let semicolonIndex = contentType.indexOf(';');
-                    if(semicolonIndex !== -1) {
-                        contentType = contentType.substring(0, semicolonIndex);
-                    }
-                    if(contentType === 'application/json') {
-                        bodyParms = JSON.parse(body);
-                    } else if(contentType === 'application/x-www-form-urlencoded') {
-                        bodyParms = qs.parse(body);
-                    }
+    }
+
+    /**
+     * Reads the parameters passed in the body of a request. multipart/form-data bodies are read by APIUploads,
+     * which streams uploaded files into the storage, all other bodies are read completely and parsed.
+     * Since this happens before the client is authenticated, multipart-bodies are only accepted by methods with
+     * parameters of the type file, and only files of these parameters are stored.
+     * @async
+     * @param {Object} request
+     * @param {APIMethod} method the called method
+     * @returns {UploadResult} the parameters and uploaded files of the request
+     */
+    async readRequestParameters(request, method) {
+        if(uploads.isMultipart(request)) {
+            let fileParameters = method.parameters.filter((parm) => {
+                return parm.type === 'file';
+            }).map((parm) => {
+                return parm.key;
+            });
+            if(fileParameters.length === 0) {
+                return { passed : false, reason : 'This method does not accept multipart/form-data bodies.', errorCode : ERROR_CODES.PARAM_TYPE, parms : {}, files : [] };
+            }
+            return await uploads.parse(request, fileParameters);
+        }
+        let body = await this.readRequestBody(request);
+        return { passed : true, parms : this.parseRequestBody(request, body), files : [] };
+    }
+
+    /**
+     * Reads the complete body of a request
+     * @param {Object} request 
+     * @returns {Promise} Promise that resolves to the body as a string, or is rejected if the body could not be read
+     */
+    readRequestBody(request) {
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            let length = 0;
+            request.on('data', (data) => {
+                chunks.push(data);
+                length += data.length;
+
+                // Too much POST data, kill the connection!
+                if(length > config.body.max_size) {
+                    logger.forRequest(request).warn('Connection was destroyed, post body was too large', { max_size : config.body.max_size });
+                    request.connection.destroy();
+                    reject(new Error('Request body too large'));
                 }
+            });
+            request.on('end', () => {
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            });
+            request.on('error', (err) => {
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Parses the body of a request depending on its content-type.
+     * Supported are application/json and application/x-www-form-urlencoded
+     * @param {Object} request 
+     * @param {string} body the body of the request
+     * @returns {Object} Object with the parameters passed in the body
+     */
+    parseRequestBody(request, body) {
+        let bodyParms = {};
+        if(request.headers['content-type'] !== undefined && request.headers['content-type'] !== null) {
+            let contentType = request.headers['content-type'];
+            let semicolonIndex = contentType.indexOf(';');
+            if(semicolonIndex !== -1) {
+                contentType = contentType.substring(0, semicolonIndex);
+            }
+            if(contentType === 'application/json') {
+                bodyParms = JSON.parse(body);
+            } else if(contentType === 'application/x-www-form-urlencoded') {
+                bodyParms = qs.parse(body);
+            }
+        }
+        return bodyParms;
+    }
 
-                // merge GET- and POST-parmameters into one object
-                parms = {...parms, ...bodyParms};
-                this.debug('Parameters:', parms);
+    /**
+     * Sends a file or stream returned by a method instead of the JSON-response
+     * @param {Object} request
+     * @param {Object} response
+     * @param {Download} download the file or stream to send
+     */
+    sendDownload(request, response, download) {
+        if(download.filename !== null) {
+            response.attachment(download.filename);
+        }
+        if(download.mimeType !== null) {
+            response.type(download.mimeType);
+        }
 
-                let session = null;
-                // if a token was transmitted, try to load the corresponding session
-                if(parms.token !== undefined && parms.token !== null) {
-                    if(parms.token.length === 36) { // length of uuid
-                        session = await apiUtils.establishSession(parms.token);
+        if(download.path !== null) {
+            response.sendFile(path.resolve(download.path), { dotfiles : 'allow' }, (err) => {
+                if(err) {
+                    request.log.error('Error sending a file', { path : download.path, error : err });
+                    if(!response.headersSent) {
+                        response.status(err.status !== undefined ? err.status : 500).json(apiUtils.makeClientResponse(apiUtils.error('The file could not be sent.', ERROR_CODES.METHOD_ERROR)));
                     }
                 }
-                this.debug('Session:', session);
-
-                let methodResponse = await apiUtils.tryExecuteMethod(method, parms, session, request, response, this.methods);
+            });
+            return;
+        }
 
-                this.debug('Response:', methodResponse);
-                response.json(apiUtils.makeClientResponse(methodResponse));
-                response.end();
-                
-            } catch(err) {
-                console.log('Error handling a request', err);
-                response.json(apiUtils.makeClientResponse(apiUtils.error('An Error occured while handling your request.', ERROR_CODES.HANDLER_ERROR)));
-                response.end();
+        if(!response.get('Content-Type')) {
+            response.type('application/octet-stream');
+        }
+        if(download.size !== null) {
+            response.set('Content-Length', String(download.size));
+        }
+        pipeline(download.stream, response, (err) => {
+            if(err) {
+                // the status has already been sent, the client notices the error because the connection is closed early
+                request.log.error('Error sending a stream', { error : err });
             }
         });
     }
 
+    /**
+     * Answers a liveness- or readiness-check.
+     * The liveness-check succeeds right away as long as the process can answer requests, restarting the server would not
+     * fix an unreachable database. The readiness-check fails if the database can not be reached or the server is not
+     * running, e.g. because it is shutting down, so load balancers stop sending requests to it.
+     * @async
+     * @param {Object} request
+     * @param {Object} response
+     * @param {boolean} readiness true for the readiness-check, false for the liveness-check
+     */
+    async handleHealthRequest(request, response, readiness) {
+        if(!readiness) {
+            response.status(200).json({ status : 'ok', state : this.state });
+            return;
+        }
+        let database = await this.checkDatabase();
+        let healthy = (this.state === 'running' && database);
+        response.status(healthy ? 200 : 503).json({
+            status : (healthy ? 'ok' : 'unavailable'),
+            state : this.state,
+            database : (database ? 'up' : 'down')
+        });
+    }
+
+    /**
+     * Checks whether the database can be reached
+     * @async
+     * @returns {boolean} true if a query succeeded within config.health.timeout seconds
+     */
+    async checkDatabase() {
+        let timeout = null;
+        try {
+            return await Promise.race([
+                db.query('SELECT 1').then(() => {
+                    return true;
+                }),
+                new Promise((resolve) => {
+                    timeout = setTimeout(() => {
+                        resolve(false);
+                    }, config.health.timeout * 1000);
+                })
+            ]);
+        } catch(err) {
+            return false;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Answers a request for the metrics. If config.metrics.permission is set, the request must carry
+     * a session-token or an API key of a user with this permission.
+     * @async
+     * @param {Object} request
+     * @param {Object} response
+     */
+    async handleMetricsRequest(request, response) {
+        try {
+            if(config.metrics.permission !== undefined && config.metrics.permission !== null) {
+                let sessionResult = await this.authenticate(request);
+                if(sessionResult.session === null) {
+                    response.writeHead(401, { 'Content-Type' : 'text/plain', 'WWW-Authenticate' : 'Bearer' });
+                    response.end('Unauthorized\n');
+                    return;
+                }
+                if(!await apiUtils.sessionHasPermissions(sessionResult.session, [config.metrics.permission])) {
+                    response.writeHead(403, { 'Content-Type' : 'text/plain' });
+                    response.end('Forbidden\n');
+                    return;
+                }
+            }
+            let body = await metrics.render();
+            response.writeHead(200, { 'Content-Type' : 'text/plain; version=0.0.4; charset=utf-8' });
+            response.end(body);
+        } catch(err) {
+            logger.forRequest(request).error('Error rendering the metrics', { error : err });
+            if(!response.headersSent) {
+                response.writeHead(500, { 'Content-Type' : 'text/plain' });
+            }
+            response.end();
+        }
+    }
+
+    /**
+     * Determines the IP of the client of a request that is not handled by express (WebSocket-upgrades, the metrics-server)
+     * the same way express does, so X-Forwarded-For is only used if the proxy is trusted by config.trust_proxy
+     * @param {Object} request the request
+     * @returns {string} the IP of the client
+     */
+    resolveIP(request) {
+        return proxyAddr(request, this.app.get('trust proxy fn'));
+    }
+
+    /**
+     * Assigns an ID to a request and a logger that adds the ID to all messages written while handling the request.
+     * The ID is taken from the X-Request-Id header if the client or a proxy passed a valid one, otherwise a new one is generated.
+     * @param {Object} request the request, receives the properties requestID and log
+     * @param {Object|null} [response=null] the response, the ID is returned to the client in its X-Request-Id header
+     * @returns {string} the ID of the request
+     */
+    assignRequestID(request, response = null) {
+        let requestID = request.headers['x-request-id'];
+        if(typeof requestID !== 'string' || requestID.match(/^[A-Za-z0-9._:-]{1,128}$/) === null) {
+            requestID = getUUID();
+        }
+        request.requestID = requestID;
+        request.log = logger.child({ request_id : requestID });
+        if(response !== null) {
+            response.setHeader('X-Request-Id', requestID);
+        }
+        return requestID;
+    }
+
+    /**
+     * Loads the session of a request. An API key passed in the Authorization-header takes precedence over the session-token.
+     * @async
+     * @param {Object} request the request
+     * @param {string} [token] the session-token passed by the client, if any
+     * @returns {SessionResult} Object containing the session, the session is null if neither a valid API key nor a valid token was passed
+     */
+    async authenticate(request, token) {
+        let apiKey = this.readApiKey(request);
+        if(apiKey !== null) {
+            return await apiUtils.establishApiKeySession(apiKey, request.ip);
+        }
+        return await this.loadSession(this.readSessionToken(request, token));
+    }
+
+    /**
+     * Reads the scheme and the credentials from the Authorization-header of a request
+     * @param {Object} request the request
+     * @returns {Object|null} Object with the properties scheme (lower case) and credentials, or null if the header is missing or malformed
+     */
+    readAuthorization(request) {
+        let header = request.headers['authorization'];
+        if(typeof header !== 'string') {
+            return null;
+        }
+        let [scheme, credentials] = header.trim().split(/\s+/, 2);
+        if(credentials === undefined) {
+            return null;
+        }
+        return { scheme : scheme.toLowerCase(), credentials : credentials };
+    }
+
+    /**
+     * Reads the API key from the Authorization-header of a request.
+     * Accepted are "ApiKey <key>" and "Bearer <key>" for keys starting with "mdk_".
+     * @param {Object} request the request
+     * @returns {string|null} the API key, or null if the request does not contain one
+     */
+    readApiKey(request) {
+        let authorization = this.readAuthorization(request);
+        if(authorization === null) {
+            return null;
+        }
+        if(authorization.scheme === 'apikey' || (authorization.scheme === 'bearer' && authorization.credentials.startsWith('mdk_'))) {
+            return authorization.credentials;
+        }
+        return null;
+    }
+
+    /**
+     * Determines the session-token of a request. It is taken from the first of the following sources that contains one:
+     * the Authorization-header ("Bearer <token>"), the token-parameter and the session-cookie (if enabled).
+     * @param {Object} request the request
+     * @param {string} [token] the token-parameter passed by the client, if any
+     * @param {boolean} [useCookie=true] false to ignore the session-cookie, e.g. for requests from untrusted origins
+     * @returns {string|null} the session-token, or null if the request does not contain one
+     */
+    readSessionToken(request, token, useCookie = true) {
+        let authorization = this.readAuthorization(request);
+        if(authorization !== null && authorization.scheme === 'bearer' && !authorization.credentials.startsWith('mdk_')) {
+            return authorization.credentials;
+        }
+        if(token !== undefined && token !== null) {
+            return token;
+        }
+        if(config.session.cookie.enabled && useCookie) {
+            let cookies = parseCookies(request.headers['cookie']);
+            if(cookies[config.session.cookie.name] !== undefined) {
+                return cookies[config.session.cookie.name];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sets the session-cookie after a login, or clears it after a logout, if session-cookies are enabled
+     * @param {Object|null} response the response to set the cookie on, nothing happens if this is null
+     * @param {Object|null} session the new session, or null if the client was logged out
+     */
+    applySessionCookie(response, session) {
+        let cookieConfig = config.session.cookie;
+        if(!cookieConfig.enabled || response === null || response === undefined || response.headersSent) {
+            return;
+        }
+        // sessions of API keys have no token that could be stored
+        if(session !== null && (session.token === undefined || session.token === null)) {
+            return;
+        }
+        let options = {
+            httpOnly : true,
+            sameSite : cookieConfig.same_site,
+            secure : cookieConfig.secure,
+            path : cookieConfig.path
+        };
+        if(cookieConfig.domain !== null) {
+            options.domain = cookieConfig.domain;
+        }
+        if(session === null) {
+            response.clearCookie(cookieConfig.name, options);
+            return;
+        }
+        if(config.session.max_age !== null) {
+            options.maxAge = config.session.max_age * 1000;
+        }
+        response.cookie(cookieConfig.name, session.token, options);
+    }
+
+    /**
+     * Loads the session belonging to a session-token passed by a client
+     * @async
+     * @param {string} [token] the session-token passed by the client, if any
+     * @returns {SessionResult} Object containing the session, the session is null if no valid token was passed
+     */
+    async loadSession(token) {
+        if(token === undefined || token === null || typeof token !== 'string' || token.length !== 36) { // length of uuid
+            return { session : null };
+        }
+        return await apiUtils.establishSession(token);
+    }
+
     // ---------------------------------------------------------------------------------
     // SERVER TERMINATION
     // ---------------------------------------------------------------------------------
 
     /**
-     * Closes all servers and connections
+     * Shuts the server down gracefully: it stops accepting connections and rejects new requests,
+     * waits up to config.shutdown.timeout seconds for the requests, method-executions and transactions in flight,
+     * and then closes the remaining connections, the servers and the database.
+     * Calling close() while the server is already shutting down returns the same promise.
      * @returns Promise that will resolve when everything is closed
      */
     close() {
-        return this.closeHTTPServer()
-        .then(() => {
-            return this.closeHTTPSServer();
+        if(this.closing !== null) {
+            return this.closing;
+        }
+        this.state = 'stopping';
+        this.removeSignalHandlers();
+        this.sweeper.stop();
+
+        // stop accepting connections, each server is closed once its last connection is
+        let serversClosed = Promise.all([
+            this.closeHTTPServer(),
+            this.closeHTTPSServer(),
+            this.closeMetricsServer()
+        ]).catch((e) => {
+            logger.error('Error closing the server', { error : e });
+        });
+        this.forEachServer((server) => {
+            if(typeof server.closeIdleConnections === 'function') {
+                server.closeIdleConnections();
+            }
+        });
+
+        this.closing = this.waitUntilIdle(config.shutdown.timeout)
+        .then((idle) => {
+            if(!idle) {
+                logger.warn('Shutdown timeout reached, closing the remaining connections', {
+                    requests : metrics.requestsInFlight.get(),
+                    executions : apiUtils.runningExecutions,
+                    transactions : db.openTransactions()
+                });
+            }
+            if(this.webSocket !== null) {
+                this.webSocket.close();
+            }
+            this.forEachServer((server) => {
+                if(typeof server.closeAllConnections === 'function') {
+                    server.closeAllConnections();
+                }
+            });
+            return serversClosed;
+        }).then(() => {
+            return audit.close();
         }).then(() => {
             return db.disconnect();
         }).catch((e) => {
-            console.log(e);
+            logger.error('Error closing the server', { error : e });
+        }).then(() => {
+            this.serverHTTP = null;
+            this.serverHTTPS = null;
+            this.serverMetrics = null;
+            this.webSocket = null;
+            this.closing = null;
+            this.state = 'stopped';
         });
+        return this.closing;
+    }
+
+    /**
+     * Waits until no HTTP-request, method-execution or database-transaction is in flight anymore
+     * @param {number} timeout maximum number of seconds to wait
+     * @returns {Promise} Promise that resolves to true if everything finished, or to false if the timeout was reached
+     */
+    waitUntilIdle(timeout) {
+        let deadline = Date.now() + timeout * 1000;
+        return new Promise((resolve) => {
+            let check = () => {
+                if(metrics.requestsInFlight.get() === 0 && apiUtils.runningExecutions === 0 && db.openTransactions() === 0) {
+                    resolve(true);
+                } else if(Date.now() >= deadline) {
+                    resolve(false);
+                } else {
+                    setTimeout(check, 50);
+                }
+            };
+            check();
+        });
+    }
+
+    /**
+     * Calls a function for every server that was started
+     * @param {function(Object): void} callback the function, receives the server
+     */
+    forEachServer(callback) {
+        for(let server of [this.serverHTTP, this.serverHTTPS, this.serverMetrics]) {
+            if(server !== null) {
+                callback(server);
+            }
+        }
     }
 
     /**
@@ -324,10 +1078,10 @@ class APIServer {
      */
     closeHTTPServer() {
         return new Promise((resolve, reject) => {
-            if(this.serverHTTP === null) {
+            if(this.serverHTTP === null || !this.serverHTTP.listening) {
                 resolve();
             } else {
-                console.log('Closing HTTP Server');
+                logger.info('Closing HTTP Server');
                 this.serverHTTP.close((err) => {
                     if(err) {
                         reject(err);
@@ -346,10 +1100,10 @@ class APIServer {
      */
     closeHTTPSServer() {
         return new Promise((resolve, reject) => {
-            if(this.serverHTTPS === null) {
+            if(this.serverHTTPS === null || !this.serverHTTPS.listening) {
                 resolve();
             } else {
-                console.log('Closing HTTPS Server');
+                logger.info('Closing HTTPS Server');
                 this.serverHTTPS.close((err) => {
                     if(err) {
                         reject(err);
@@ -360,6 +1114,102 @@ class APIServer {
             }
         });
     }
+
+    /**
+     * Promisifies the close-method of the Metrics-Server, but also checks whether it is running
+     * in the first place. If it is not running the promise is resolved immediately.
+     * @returns Promise that is resolved when the Metrics Server is closed
+     */
+    closeMetricsServer() {
+        return new Promise((resolve, reject) => {
+            if(this.serverMetrics === null || !this.serverMetrics.listening) {
+                resolve();
+            } else {
+                logger.info('Closing Metrics Server');
+                this.serverMetrics.close((err) => {
+                    if(err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            }
+        });
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Lets a server listen on a port
+ * @param {Object|null} server the server, nothing happens if this is null
+ * @param {integer} port the port
+ * @param {string} name name of the server for the log
+ * @returns {Promise} Promise that resolves when the server is listening, or is rejected if it can not listen on the port
+ */
+function listen(server, port, name) {
+    return new Promise((resolve, reject) => {
+        if(server === null) {
+            resolve();
+            return;
+        }
+        let onError = (err) => {
+            reject(err);
+        };
+        server.once('error', onError);
+        server.listen(port, () => {
+            server.removeListener('error', onError);
+            logger.info(name + ' running', { port : port });
+            resolve();
+        });
+    });
+}
+
+/**
+ * Calls a callback once a response is finished or its connection is closed
+ * @param {Object} response the response
+ * @param {function(): void} callback function that is called once
+ */
+function onResponseClosed(response, callback) {
+    let called = false;
+    let done = () => {
+        if(!called) {
+            called = true;
+            callback();
+        }
+    };
+    response.on('finish', done);
+    response.on('close', done);
+}
+
+/**
+ * Parses the Cookie-header of a request
+ * @param {string} [header] the Cookie-header
+ * @returns {Object} Object with the names of the cookies as properties and their values as values
+ */
+function parseCookies(header) {
+    let cookies = {};
+    if(typeof header !== 'string') {
+        return cookies;
+    }
+    for(let pair of header.split(';')) {
+        let index = pair.indexOf('=');
+        if(index === -1) {
+            continue;
+        }
+        let name = pair.substring(0, index).trim();
+        let value = pair.substring(index + 1).trim();
+        if(value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch(e) {
+            // ignore cookies that are not properly encoded
+        }
+    }
+    return cookies;
 }
 
 // ---------------------------------------------------------------------------------
@@ -371,5 +1221,13 @@ module.exports = {
     APIMethod : APIMethod,
     apiUtils : apiUtils,
     db : db,
-    config : config
+    config : config,
+    push : push,
+    mailer : mailer,
+    rateLimiter : rateLimiter,
+    audit : audit,
+    logger : logger,
+    metrics : metrics,
+    types : types,
+    uploads : uploads
 };
\ No newline at end of file
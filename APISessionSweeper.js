@@ -0,0 +1,83 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const config = require('./APIConfig.js');
+const db = require('./APIDatabase.js');
+const apiUtils = require('./APIUtils.js');
+const push = require('./APIPush.js');
+const logger = require('./APILogger.js');
+
+// ---------------------------------------------------------------------------------
+// APISessionSweeper CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class periodically removes expired sessions and login-tokens from the database
+ */
+class APISessionSweeper {
+    /**
+     * Creates a new sweeper, it does not run until start() is called
+     */
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Starts sweeping in the interval configured in config.session.sweep_interval (seconds).
+     * If the interval is 0 or null the sweeper is disabled.
+     */
+    start() {
+        let interval = config.session.sweep_interval;
+        if(this.timer !== null || interval === undefined || interval === null || interval <= 0) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep();
+        }, interval * 1000);
+        // do not keep the process alive just for the sweeper
+        this.timer.unref();
+    }
+
+    /**
+     * Stops the sweeper
+     */
+    stop() {
+        if(this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Deletes all expired sessions and login-tokens
+     * @async
+     */
+    async sweep() {
+        // skip this run if the previous one is still busy
+        if(this.running) {
+            return;
+        }
+        this.running = true;
+        try {
+            let expiredSessions = await db.query('SELECT session_id FROM '+config.db.auth_database+'.api_sessions WHERE '+apiUtils.sessionExpiredSQL());
+            if(expiredSessions.length > 0) {
+                let sessionIDs = expiredSessions.map((session) => {
+                    return session.session_id;
+                });
+                await db.query('DELETE FROM '+config.db.auth_database+'.api_sessions WHERE session_id IN (?)', sessionIDs);
+                // connections of the expired sessions must not receive pushed events anymore
+                for(let sessionID of sessionIDs) {
+                    push.closeSession(sessionID);
+                }
+            }
+            let tokenResult = await db.query('DELETE FROM '+config.db.auth_database+'.api_login_tokens WHERE expiration_date < NOW()');
+            logger.debug('Swept expired sessions', { sessions : expiredSessions.length, login_tokens : tokenResult.affectedRows });
+        } catch(err) {
+            logger.error('Error sweeping expired sessions', { error : err });
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = APISessionSweeper;
\ No newline at end of file
@@ -0,0 +1,327 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const net = require('net');
+const uploads = require('./APIUploads.js');
+
+// ---------------------------------------------------------------------------------
+// APITypes CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class holds the types parameters can have. Every type has a coercer that converts passed values
+ * (which are always strings in query-strings and form-bodies, but may be typed in JSON-bodies) into the JavaScript type
+ * handlers receive, and a validator that checks the converted value.
+ * Applications can register types of their own with register() or APIModule.addType().
+ */
+class APITypes {
+    /**
+     * @typedef {Object} APIType
+     * @property {function(any, APIParameter): boolean} validate checks whether the (coerced) value is valid for the type,
+     * the definition of the parameter is passed along, e.g. to read allowedValues
+     * @property {function(any, APIParameter): any} [coerce] converts a passed value into the type, called before validate.
+     * Values it can not convert should be returned unchanged, so validate rejects them
+     * @property {Object} [schema] JSON-schema of the type used in the generated OpenAPI document
+     */
+    /**
+     * Creates a new instance of APITypes with the built-in types
+     */
+    constructor() {
+        this.types = new Map();
+
+        let integer = {
+            coerce : (value) => {
+                return (typeof value === 'string' && value.trim().match(/^[-]?[0-9]+$/) !== null ? parseInt(value.trim()) : value);
+            },
+            validate : (value) => {
+                return Number.isSafeInteger(value);
+            },
+            schema : { type : 'integer' }
+        };
+        this.register('int', integer);
+        this.register('integer', integer);
+
+        let float = {
+            coerce : (value) => {
+                return (typeof value === 'string' && value.trim().match(/^[-]?[0-9]+(\.[0-9]+)?$/) !== null ? Number(value.trim()) : value);
+            },
+            validate : (value) => {
+                return typeof value === 'number' && Number.isFinite(value);
+            },
+            schema : { type : 'number' }
+        };
+        this.register('float', float);
+        this.register('double', float);
+
+        let boolean = {
+            coerce : (value) => {
+                if(typeof value === 'string') {
+                    value = value.trim();
+                }
+                if([1, '1', 'true'].includes(value)) {
+                    return true;
+                }
+                if([0, '0', 'false'].includes(value)) {
+                    return false;
+                }
+                return value;
+            },
+            validate : (value) => {
+                return typeof value === 'boolean';
+            },
+            schema : { type : 'boolean' }
+        };
+        this.register('boolean', boolean);
+        this.register('bool', boolean);
+
+        this.register('string', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.length > 0;
+            },
+            schema : { type : 'string', minLength : 1 }
+        });
+        this.register('char', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.length === 1;
+            },
+            schema : { type : 'string', minLength : 1, maxLength : 1 }
+        });
+        this.register('date', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && isValidDate(value, /^(\d{4})-(\d{2})-(\d{2})$/);
+            },
+            schema : { type : 'string', format : 'date' }
+        });
+        this.register('datetime', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && isValidDate(value, /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+            },
+            schema : { type : 'string', pattern : '^\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}$', example : '2023-01-31 13:37:00' }
+        });
+        // ISO 8601 with a time zone or seconds since the epoch, handlers receive a Date
+        this.register('timestamp', {
+            coerce : (value) => {
+                if(typeof value === 'string') {
+                    value = value.trim();
+                    if(value.match(/^[0-9]+$/) !== null) {
+                        return new Date(parseInt(value) * 1000);
+                    }
+                    if(isValidDate(value, /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}:\d{2})$/)) {
+                        return new Date(value);
+                    }
+                } else if(Number.isSafeInteger(value) && value >= 0) {
+                    return new Date(value * 1000);
+                }
+                return value;
+            },
+            validate : (value) => {
+                return value instanceof Date && !isNaN(value.getTime());
+            },
+            schema : { type : 'string', format : 'date-time', example : '2023-01-31T13:37:00Z' }
+        });
+        this.register('email', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.length <= 254 && value.match(/^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/) !== null;
+            },
+            schema : { type : 'string', format : 'email' }
+        });
+        this.register('url', {
+            coerce : coerceString,
+            validate : (value) => {
+                if(typeof value !== 'string') {
+                    return false;
+                }
+                try {
+                    return ['http:', 'https:'].includes(new URL(value).protocol);
+                } catch(e) {
+                    // Not a valid URL
+                    return false;
+                }
+            },
+            schema : { type : 'string', format : 'uri' }
+        });
+        // one of allowedValues, passed strings are matched against numbers and booleans in allowedValues as well
+        this.register('enum', {
+            coerce : (value, definition) => {
+                let allowedValues = (definition.allowedValues !== undefined ? definition.allowedValues : []);
+                let match = allowedValues.find((allowedValue) => {
+                    return String(allowedValue) === String(value).trim();
+                });
+                return (match !== undefined && typeof value !== 'object' ? match : value);
+            },
+            validate : (value, definition) => {
+                // whether the value is one of allowedValues is checked like for all other types
+                return definition.allowedValues !== undefined && ['string', 'number', 'boolean'].includes(typeof value);
+            },
+            schema : {}
+        });
+        this.register('base64', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.match(/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/) !== null;
+            },
+            schema : { type : 'string', format : 'byte' }
+        });
+        // IPv4 or IPv6 address, set version : 4 or version : 6 on the parameter to only accept one of them
+        this.register('ip', {
+            coerce : coerceString,
+            validate : (value, definition) => {
+                let version = (typeof value === 'string' ? net.isIP(value) : 0);
+                return version !== 0 && (definition.version === undefined || definition.version === version);
+            },
+            schema : { type : 'string', format : 'ip' }
+        });
+        this.register('sha256', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.match(/^[A-Fa-f0-9]{64}$/) !== null;
+            },
+            schema : { type : 'string', pattern : '^[A-Fa-f0-9]{64}$' }
+        });
+        // RFC4122 UUID v4
+        this.register('uuid', {
+            coerce : coerceString,
+            validate : (value) => {
+                return typeof value === 'string' && value.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i) !== null;
+            },
+            schema : { type : 'string', format : 'uuid' }
+        });
+
+        // files uploaded in multipart/form-data requests, see APIUploads
+        this.register('file', {
+            validate : (value) => {
+                return uploads.isUploadedFile(value);
+            },
+            schema : { type : 'string', format : 'binary' }
+        });
+
+        // json, arrays and objects may be passed encoded or, e.g. in a JSON-body, as they are
+        this.register('json', {
+            coerce : coerceJSON,
+            validate : (value) => {
+                return value !== undefined;
+            },
+            schema : { description : 'JSON-encoded value' }
+        });
+        this.register('array', {
+            coerce : coerceJSON,
+            validate : (value) => {
+                return Array.isArray(value);
+            },
+            schema : { type : 'array' }
+        });
+        this.register('object', {
+            coerce : coerceJSON,
+            validate : (value) => {
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            },
+            schema : { type : 'object' }
+        });
+    }
+
+    /**
+     * Registers a new type
+     * @param {string} name name of the type, used in the type-property of parameters
+     * @param {APIType} type the type
+     */
+    register(name, type) {
+        if(this.types.has(name)) {
+            throw new Error('A type with the name ' + name + ' already exists');
+        }
+        if(typeof type.validate !== 'function') {
+            throw new Error('The type ' + name + ' has no validate function');
+        }
+        this.types.set(name, type);
+    }
+
+    /**
+     * Gets a registered type
+     * @param {string} name name of the type
+     * @returns {APIType|null} the type or null if no type with the name is registered
+     */
+    get(name) {
+        return (this.types.has(name) ? this.types.get(name) : null);
+    }
+
+    /**
+     * Checks whether a value has a type and converts it into the matching JavaScript type
+     * @param {APIParameter} definition definition of the parameter, its type-property names the type
+     * @param {any} value the passed value
+     * @returns {{passed: boolean, value: any}} whether the value has the type, and the converted value
+     */
+    check(definition, value) {
+        let type = this.get(definition.type);
+        if(type === null) {
+            return { passed : false, value : value };
+        }
+        let newValue = value;
+        if(typeof type.coerce === 'function') {
+            try {
+                newValue = type.coerce(value, definition);
+            } catch(err) {
+                return { passed : false, value : value };
+            }
+        }
+        return { passed : type.validate(newValue, definition) === true, value : newValue };
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Trims strings and converts numbers into strings, all other values are returned unchanged
+ * @param {any} value the passed value
+ * @returns {any} the converted value
+ */
+function coerceString(value) {
+    if(typeof value === 'string') {
+        return value.trim();
+    }
+    if(typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    return value;
+}
+
+/**
+ * Parses JSON-encoded strings, all other values are returned unchanged
+ * @param {any} value the passed value
+ * @returns {any} the parsed value, or undefined if the string is not valid JSON
+ */
+function coerceJSON(value) {
+    if(typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch(e) {
+        // Not valid JSON
+        return undefined;
+    }
+}
+
+/**
+ * Checks whether a string matches a date-pattern and denotes a date that exists, e.g. rejects 2023-02-31
+ * @param {string} value the string to check
+ * @param {RegExp} pattern pattern whose first groups are year, month, day and optionally hours, minutes and seconds
+ * @returns {boolean} true if the date exists
+ */
+function isValidDate(value, pattern) {
+    let match = value.match(pattern);
+    if(match === null) {
+        return false;
+    }
+    let [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map((part) => {
+        return (part !== undefined ? parseInt(part) : undefined);
+    });
+    let date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        && date.getUTCHours() === hours && date.getUTCMinutes() === minutes && date.getUTCSeconds() === seconds;
+}
+
+module.exports = new APITypes();
\ No newline at end of file
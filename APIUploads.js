@@ -0,0 +1,306 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const busboy = require('busboy');
+const { v4 : getUUID } = require('uuid');
+const config = require('./APIConfig.js');
+const logger = require('./APILogger.js');
+const { ERROR_CODES } = require('./APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// UPLOADED FILES
+// ---------------------------------------------------------------------------------
+/**
+ * A file uploaded in a multipart/form-data request, passed to handlers as the value of parameters of the type file
+ */
+class APIUploadedFile {
+    /**
+     * Creates a new uploaded file, its content is written to the storage afterwards
+     * @param {string} field name of the form-field the file was uploaded in
+     * @param {string|undefined} filename name of the file on the client
+     * @param {string} mimeType MIME-type declared by the client, it is not verified
+     */
+    constructor(field, filename, mimeType) {
+        this.field = field;
+        this.filename = (filename !== undefined ? filename : null);
+        this.mimeType = mimeType;
+        this.size = 0;
+        this.truncated = false;
+        this.kept = false;
+        // path of the file in the temporary directory, other storages may set other properties
+        this.path = null;
+    }
+
+    /**
+     * Prevents the file from being removed from the storage after the call, e.g. because the storage is its final location
+     */
+    keep() {
+        this.kept = true;
+    }
+}
+
+/**
+ * Stores uploads in a temporary directory
+ */
+class APITempFileStorage {
+    /**
+     * Creates a new storage
+     * @param {string} directory the directory to store the files in
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Writes an uploaded file into the directory under a random name
+     * @async
+     * @param {ReadableStream} stream the content of the file
+     * @param {APIUploadedFile} file the file
+     * @returns {Object} properties to set on the file, the path of the written file
+     */
+    async save(stream, file) {
+        let filePath = path.join(this.directory, 'md_api_upload_' + getUUID());
+        await new Promise((resolve, reject) => {
+            pipeline(stream, fs.createWriteStream(filePath), (err) => {
+                if(err) {
+                    // remove what was written before the upload broke off
+                    fs.unlink(filePath, () => {
+                        reject(err);
+                    });
+                } else {
+                    resolve();
+                }
+            });
+        });
+        return { path : filePath };
+    }
+
+    /**
+     * Deletes an uploaded file, files a handler has already moved are ignored
+     * @async
+     * @param {APIUploadedFile} file the file
+     */
+    async remove(file) {
+        if(file.path === null) {
+            return;
+        }
+        try {
+            await fs.promises.unlink(file.path);
+        } catch(err) {
+            if(err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// APIUploads CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class reads multipart/form-data requests. Their fields are passed to methods like other parameters, uploaded files
+ * are streamed into a storage while the request is read and passed as APIUploadedFile to parameters of the type file.
+ * By default files are stored in config.uploads.directory (the temporary directory of the system if null), another storage
+ * can be set with use(). Uploaded files are removed from the storage once the response is sent, unless the handler calls keep().
+ */
+class APIUploads {
+    /**
+     * @typedef {Object} UploadStorage
+     * @property {function(ReadableStream, APIUploadedFile): Promise<Object>} save stores the content of a file, resolves to properties
+     * that are set on the file, e.g. { path : '...' } or { id : '...' }
+     * @property {function(APIUploadedFile): Promise} remove removes a file that was not kept from the storage
+     */
+    /**
+     * @typedef {Object} UploadResult
+     * @property {boolean} passed false if the request exceeded the limits in config.uploads
+     * @property {string} [reason] reason why the request was rejected, only set when passed is false
+     * @property {string} [errorCode] constant from ERROR_CODES, only set when passed is false
+     * @property {Object} parms the fields and files of the request, files are passed as APIUploadedFile (or an array of them
+     * if multiple files were uploaded in the same field)
+     * @property {APIUploadedFile[]} files all uploaded files
+     */
+    /**
+     * Creates a new instance of APIUploads
+     */
+    constructor() {
+        this.storage = null;
+    }
+
+    /**
+     * Replaces the storage uploaded files are written to
+     * @param {UploadStorage|null} storage the storage, or null to use the temporary directory again
+     */
+    use(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Gets the storage, on first use the temporary directory is used
+     * @returns {UploadStorage} the storage
+     */
+    getStorage() {
+        if(this.storage === null) {
+            this.storage = new APITempFileStorage(config.uploads.directory !== null ? config.uploads.directory : os.tmpdir());
+        }
+        return this.storage;
+    }
+
+    /**
+     * Checks whether a value is a file uploaded with a request
+     * @param {any} value the value to check
+     * @returns {boolean} true if the value is an APIUploadedFile
+     */
+    isUploadedFile(value) {
+        return value instanceof APIUploadedFile;
+    }
+
+    /**
+     * Checks whether the body of a request is multipart/form-data
+     * @param {Object} request the request
+     * @returns {boolean} true for multipart-requests
+     */
+    isMultipart(request) {
+        let contentType = request.headers['content-type'];
+        return typeof contentType === 'string' && contentType.toLowerCase().startsWith('multipart/form-data');
+    }
+
+    /**
+     * Reads a multipart/form-data request and writes the uploaded files to the storage.
+     * The fields together may not exceed config.body.max_size bytes, like other bodies. If the request breaks off,
+     * e.g. because the client disconnects, the files written so far are removed and the promise is rejected.
+     * @param {Object} request the request
+     * @param {string[]} fileParameters names of the parameters files may be uploaded in, other files are discarded
+     * @returns {Promise<UploadResult>} the parameters and files of the request
+     */
+    parse(request, fileParameters) {
+        return new Promise((resolve, reject) => {
+            let parser = null;
+            try {
+                parser = busboy({
+                    headers : request.headers,
+                    limits : {
+                        fileSize : config.uploads.max_file_size,
+                        files : config.uploads.max_files,
+                        fieldSize : config.body.max_size
+                    }
+                });
+            } catch(err) {
+                reject(err);
+                return;
+            }
+
+            let storage = this.getStorage();
+            let parms = {};
+            let files = [];
+            let saving = [];
+            let rejection = null;
+            let fieldSize = 0;
+
+            parser.on('field', (name, value, info) => {
+                fieldSize += Buffer.byteLength(name) + Buffer.byteLength(value);
+                if(info.nameTruncated || info.valueTruncated || fieldSize > config.body.max_size) {
+                    rejection = {
+                        reason : 'The fields of the request are too big, the maximum size is ' + config.body.max_size + ' bytes.',
+                        errorCode : ERROR_CODES.PARAM_RANGE
+                    };
+                }
+                // the request is rejected anyway, so stop keeping fields in memory
+                if(rejection === null) {
+                    parms[name] = value;
+                }
+            });
+            parser.on('file', (name, stream, info) => {
+                if(!fileParameters.includes(name)) {
+                    stream.resume();
+                    return;
+                }
+                let file = new APIUploadedFile(name, info.filename, info.mimeType);
+                files.push(file);
+                if(parms[name] === undefined) {
+                    parms[name] = file;
+                } else {
+                    parms[name] = [].concat(parms[name], file);
+                }
+
+                // count the bytes on their way to the storage, busboy stops the stream at config.uploads.max_file_size
+                let counter = new Transform({
+                    transform : (chunk, encoding, callback) => {
+                        file.size += chunk.length;
+                        callback(null, chunk);
+                    }
+                });
+                stream.on('limit', () => {
+                    file.truncated = true;
+                    rejection = {
+                        reason : 'File ' + name + ' is too big, the maximum size is ' + config.uploads.max_file_size + ' bytes.',
+                        errorCode : ERROR_CODES.PARAM_RANGE
+                    };
+                });
+                // pipe() does not pass errors on, e.g. when busboy destroys the stream because the request broke off
+                stream.on('error', (err) => {
+                    counter.destroy(err);
+                });
+                stream.pipe(counter);
+                saving.push(storage.save(counter, file).then((properties) => {
+                    Object.assign(file, properties);
+                }, (err) => {
+                    // drain the rest of the file, otherwise the request is never read to its end
+                    stream.resume();
+                    throw err;
+                }));
+            });
+            parser.on('filesLimit', () => {
+                rejection = {
+                    reason : 'Too many files, at most ' + config.uploads.max_files + ' files can be uploaded at once.',
+                    errorCode : ERROR_CODES.PARAM_RANGE
+                };
+            });
+            // unlike pipe(), pipeline() destroys the parser if the request is aborted or fails,
+            // which in turn destroys the file that is being written
+            pipeline(request, parser, async (err) => {
+                try {
+                    if(err) {
+                        throw err;
+                    }
+                    await Promise.all(saving);
+                } catch(err) {
+                    await Promise.allSettled(saving);
+                    await this.cleanup(files);
+                    reject(err);
+                    return;
+                }
+                if(rejection !== null) {
+                    await this.cleanup(files);
+                    resolve({ passed : false, ...rejection, parms : {}, files : [] });
+                    return;
+                }
+                resolve({ passed : true, parms : parms, files : files });
+            });
+        });
+    }
+
+    /**
+     * Removes all files that were not kept from the storage
+     * @async
+     * @param {APIUploadedFile[]} files the files of a request
+     */
+    async cleanup(files) {
+        let storage = this.getStorage();
+        for(let file of files) {
+            if(file.kept) {
+                continue;
+            }
+            try {
+                await storage.remove(file);
+            } catch(err) {
+                logger.error('Error removing an uploaded file', { field : file.field, error : err });
+            }
+        }
+    }
+}
+
+module.exports = new APIUploads();
\ No newline at end of file
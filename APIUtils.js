@@ -5,12 +5,19 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const https = require('https');
+const net = require('net');
 const qs = require('querystring');
 const { v4 : getUUID } = require('uuid');
 
 // Import other Modules
 const config = require('./APIConfig.js');
 const db = require('./APIDatabase.js');
+const permissionCache = require('./APIPermissions.js');
+const push = require('./APIPush.js');
+const audit = require('./APIAudit.js');
+const metrics = require('./APIMetrics.js');
+const rateLimiter = require('./APIRateLimiter.js');
+const types = require('./APITypes.js');
 const { ERROR_CODES } = require('./APIConstants.js');
 
 // ---------------------------------------------------------------------------------
@@ -23,7 +30,10 @@ class APIUtils {
     /**
      * Creates a new instance of APIUtils
      */
-    constructor() {}
+    constructor() {
+        // number of methods currently being executed, the server waits for them when it shuts down
+        this.runningExecutions = 0;
+    }
 
     /**
      * Calculates the SHA256 hash of the given strings.
@@ -41,38 +51,88 @@ class APIUtils {
     // ---------------------------------------------------------------------------------
     // TODO: verify, should this be part of the utils?
 
+    /**
+     * @typedef {Object} SessionResult
+     * @property {Object|null} session Session-Object if a valid session exists for the token, or null otherwise
+     * @property {string} [reason] reason why the session can not be used, only set if the token belongs to an unusable session
+     * @property {string} [errorCode] constant from ERROR_CODES that specifies why the session can not be used
+     */
     /**
      * Checks whether a session for a given token exists and retrieves the sesion data if so.
+     * Expired sessions are rejected and removed.
      * @async
      * @param {string} sessionToken token to load the session for
-     * @returns {Object|null} Session-Object if it exists, or null otherwise
+     * @returns {SessionResult} Object containing the session if it exists and has not expired
      */
     async establishSession(sessionToken) {
         // check whether a session with the given token exists
-        let sesResult = await db.query('SELECT * FROM '+config.db.auth_database+'.api_sessions WHERE session_token=?', sessionToken)
+        let sesResult = await db.query('SELECT session_id, '+this.sessionExpiredSQL()+' AS expired FROM '+config.db.auth_database+'.api_sessions WHERE session_token=?', sessionToken)
         if(sesResult === null || sesResult.length === 0) {
-            return null;
+            return { session : null };
+        }
+
+        // reject sessions that have expired but have not been swept yet
+        if(sesResult[0].expired) {
+            await this.deleteSession(sesResult[0].session_id);
+            return {
+                session : null,
+                reason : 'Your session has expired',
+                errorCode : ERROR_CODES.SESSION_EXPIRED
+            };
         }
 
         // load details of the found session
         let session = await this.getSession(sesResult[0].session_id);
         if(session === null) {
-            return null;
+            return { session : null };
         }
 
-        // record last action of the session
-        await db.query('UPDATE '+config.db.auth_database+'.api_sessions SET last_action=NOW(), expiration_date=DATE_ADD(NOW(), INTERVAL 1 HOUR) WHERE session_id=?', session.session_id)
+        // record last action of the session and extend it if every request shall extend the session
+        if(config.session.sliding_expiration) {
+            await db.query('UPDATE '+config.db.auth_database+'.api_sessions SET last_action=NOW(), expiration_date='+this.sessionExpirationSQL()+' WHERE session_id=?', session.session_id)
+        } else {
+            await db.query('UPDATE '+config.db.auth_database+'.api_sessions SET last_action=NOW() WHERE session_id=?', session.session_id)
+        }
         
-        return session;
+        return { session : session };
+    }
+
+    /**
+     * Builds the SQL-expression for the expiration date of a session that is extended right now.
+     * The session will expire after config.session.idle_timeout seconds, but not later than
+     * config.session.max_age seconds after it was started.
+     * @param {string} [startDate='start_date'] SQL-expression for the start date of the session
+     * @returns {string} SQL-expression evaluating to the new expiration date
+     */
+    sessionExpirationSQL(startDate = 'start_date') {
+        let expiration = 'DATE_ADD(NOW(), INTERVAL ' + parseInt(config.session.idle_timeout) + ' SECOND)';
+        if(config.session.max_age !== undefined && config.session.max_age !== null) {
+            expiration = 'LEAST(' + expiration + ', DATE_ADD(' + startDate + ', INTERVAL ' + parseInt(config.session.max_age) + ' SECOND))';
+        }
+        return expiration;
+    }
+
+    /**
+     * Builds the SQL-expression that checks whether a row of api_sessions has expired,
+     * either by its expiration date or because it is older than config.session.max_age
+     * @returns {string} SQL-expression evaluating to 1 for expired sessions and to 0 otherwise
+     */
+    sessionExpiredSQL() {
+        let expired = '(expiration_date < NOW()';
+        if(config.session.max_age !== undefined && config.session.max_age !== null) {
+            expired += ' OR DATE_ADD(start_date, INTERVAL ' + parseInt(config.session.max_age) + ' SECOND) < NOW()';
+        }
+        return expired + ')';
     }
 
     /**
      * Loads details of the session with the given id
      * @async
      * @param {integer} sessionID ID of the session to load
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
      * @returns {Object|null} Session-Object if it exists, or null otherwise
      */
-    async getSession(sessionID) {
+    async getSession(sessionID, tx = db) {
         // load session data
         let sqlSes = "\
             SELECT s.session_id,\
@@ -86,7 +146,7 @@ class APIUtils {
                 ON s.user_id = u.user_id\
             WHERE s.session_id = ?\
             LIMIT 0,1";
-        let sesResult = await db.query(sqlSes, sessionID);
+        let sesResult = await tx.query(sqlSes, sessionID);
         // check whether the session exists
         if(sesResult === null || sesResult.length === 0) {
             return null;
@@ -106,16 +166,17 @@ class APIUtils {
      * @param {integer} userID ID of the user to create a new session for
      * @param {string} ip IP address of the users client
      * @param {string} userAgent User-Agent-String of the users client
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
      * @returns {Object|null} An object with the new session details, or null if an error occured
      */
-    async createSession(userID, ip, userAgent) {
+    async createSession(userID, ip, userAgent, tx = db) {
         // Generate session-token
         let sessionToken = getUUID();
 
         // Generate a new session
-        let sessionResult = await db.query(
+        let sessionResult = await tx.query(
             'INSERT INTO '+config.db.auth_database+'.api_sessions (user_id, session_token, start_date, expiration_date, ip, user_agent)' +
-            ' VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR), ?, ?);',
+            ' VALUES (?, ?, NOW(), '+this.sessionExpirationSQL('NOW()')+', ?, ?);',
             userID, sessionToken, ip, userAgent
         );
         if(sessionResult === null) {
@@ -124,7 +185,7 @@ class APIUtils {
         let sessionID = sessionResult.insertId;
 
         // Load session data
-        let loadedSession = await this.getSession(sessionID);
+        let loadedSession = await this.getSession(sessionID, tx);
         if(loadedSession === null) {
             return null;
         }
@@ -133,21 +194,145 @@ class APIUtils {
     }
 
     /**
-     * Terminates the session with the given ID
+     * Terminates the session with the given ID. Once the deletion is committed, the WebSocket-connections of the session are detached.
      * @async
      * @param {integer} sessionID the ID of the session to terminate
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the query on
      * @returns {boolean} true if successful, false otherwise
      */
-    async deleteSession(sessionID) {
+    async deleteSession(sessionID, tx = db) {
         // Remove session from database
         let sqlDelSes = 'DELETE FROM '+config.db.auth_database+'.api_sessions WHERE session_id=?';
-        if(!await db.query(sqlDelSes, sessionID)) {
+        if(!await tx.query(sqlDelSes, sessionID)) {
             // MySQL-Error
             return false;
         }
+        tx.afterCommit(() => {
+            push.closeSession(sessionID);
+        });
         return true;
     }
 
+    /**
+     * Terminates all sessions of a user, e.g. after the password was changed or the user was deactivated
+     * @async
+     * @param {integer} userID the ID of the user
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @param {integer|null} [exceptSessionID=null] ID of a session that shall be kept, e.g. the one of the caller
+     * @returns {integer} the number of terminated sessions
+     */
+    async deleteUserSessions(userID, tx = db, exceptSessionID = null) {
+        let sessions = await tx.query(
+            'SELECT session_id FROM '+config.db.auth_database+'.api_sessions WHERE user_id=? AND session_id!=?',
+            userID, (exceptSessionID !== null ? exceptSessionID : 0)
+        );
+        for(let session of sessions) {
+            if(!await this.deleteSession(session.session_id, tx)) {
+                throw new Error('MySQL-Error while deleting the sessions of a user');
+            }
+        }
+        return sessions.length;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // API KEYS
+    // ---------------------------------------------------------------------------------
+    /**
+     * Loads the session-like object of an API key. It has the properties user_id, admin, api_key_id and scopes,
+     * session_id and token are null since no session exists in the database.
+     * @async
+     * @param {string} apiKey the API key passed by the client
+     * @param {string} ip IP address of the client
+     * @returns {SessionResult} Object containing the session-like object if the key is valid and can be used from the IP
+     */
+    async establishApiKeySession(apiKey, ip) {
+        if(!config.api_keys.enabled) {
+            return { session : null, reason : 'API keys are disabled', errorCode : ERROR_CODES.PERMISSION_NO_SESSION };
+        }
+        let keyResult = await db.query(
+            'SELECT k.api_key_id, k.user_id, k.scopes, k.allowed_ips, (k.expiration_date IS NOT NULL AND k.expiration_date < NOW()) AS expired, u.admin' +
+            ' FROM '+config.db.auth_database+'.api_keys k' +
+            ' JOIN '+config.db.auth_database+'.api_view_users u ON k.user_id = u.user_id' +
+            ' WHERE k.key_hash=? AND u.active=1',
+            this.sha256(apiKey)
+        );
+        if(keyResult.length !== 1) {
+            return { session : null, reason : 'Invalid API key', errorCode : ERROR_CODES.PERMISSION_NO_SESSION };
+        }
+        let key = keyResult[0];
+        if(key.expired) {
+            return { session : null, reason : 'Your API key has expired', errorCode : ERROR_CODES.SESSION_EXPIRED };
+        }
+        if(key.allowed_ips !== null) {
+            let allowlist = this.createIPAllowlist(JSON.parse(key.allowed_ips));
+            if(allowlist === null || !this.ipAllowed(allowlist, ip)) {
+                return { session : null, reason : 'Your API key can not be used from this IP-address', errorCode : ERROR_CODES.PERMISSION_NO_SESSION };
+            }
+        }
+
+        await db.query('UPDATE '+config.db.auth_database+'.api_keys SET last_used=NOW() WHERE api_key_id=?', key.api_key_id);
+
+        // scopes restrict the key to these permissions and their decendants
+        let scopes = null;
+        if(key.scopes !== null) {
+            scopes = permissionCache.expandPermissions(await permissionCache.getModel(), JSON.parse(key.scopes));
+        }
+        return {
+            session : {
+                session_id : null,
+                user_id : key.user_id,
+                token : null,
+                admin : key.admin,
+                api_key_id : key.api_key_id,
+                scopes : scopes
+            }
+        };
+    }
+
+    /**
+     * Creates an allowlist of IP-addresses
+     * @param {string[]} entries IP-addresses or subnets in CIDR-notation
+     * @returns {net.BlockList|null} the allowlist, or null if one of the entries is invalid
+     */
+    createIPAllowlist(entries) {
+        let allowlist = new net.BlockList();
+        for(let entry of entries) {
+            let [address, prefix] = String(entry).split('/');
+            let type = (net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null));
+            if(type === null) {
+                return null;
+            }
+            if(prefix === undefined) {
+                allowlist.addAddress(address, type);
+            } else {
+                let prefixLength = parseInt(prefix);
+                if(isNaN(prefixLength) || String(prefixLength) !== prefix || prefixLength < 0 || prefixLength > (type === 'ipv4' ? 32 : 128)) {
+                    return null;
+                }
+                allowlist.addSubnet(address, prefixLength, type);
+            }
+        }
+        return allowlist;
+    }
+
+    /**
+     * Checks whether an IP-address is on an allowlist
+     * @param {net.BlockList} allowlist the allowlist
+     * @param {string} ip the IP-address
+     * @returns {boolean} true if the IP-address is allowed
+     */
+    ipAllowed(allowlist, ip) {
+        if(typeof ip !== 'string') {
+            return false;
+        }
+        // IPv4-clients of dual-stack servers show up as IPv4-mapped IPv6-addresses
+        let mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if(mapped !== null) {
+            ip = mapped[1];
+        }
+        return allowlist.check(ip, (net.isIPv4(ip) ? 'ipv4' : 'ipv6'));
+    }
+
     /**
      * Checks whether a method can be executed given the current context and then executes it if so
      * @async
@@ -160,123 +345,192 @@ class APIUtils {
      * @returns {APIResponse} An API-Response Object
      */
     async tryExecuteMethod(method, parms, session, request, response, methods) {
-        // check whether this method shall be executed as another user
-        // (requires special permission, can be used for e.g. chatbots)
-        let originalSession = null;
-        if(parms.as_user !== undefined && parms.as_user !== null) {
-            // check if the current user has the 'as_user' permission
-            if(session === null || session.user_id === undefined || session.user_id === null || !await this.userHasPermissions(session.user_id, ['as_user'])) {
-                return this.error('You are not allowed to execute methods as other users', ERROR_CODES.PERMISSION_MISSING);
-            }
+        this.runningExecutions++;
+        try {
+            let startTime = process.hrtime.bigint();
+            let methodResponse = null;
 
-            let otherUserId = null;
-            try {
-                otherUserId = parseInt(parms.as_user);
-            } catch(e) {
-                return this.error('Parameter as_user has the wrong type, expected int.', ERROR_CODES.PARAM_TYPE);
+            // reject the call if the client called the method too often
+            let rateLimitCheck = await rateLimiter.check(method, session, request);
+            if(!rateLimitCheck.passed) {
+                methodResponse = this.rateLimited(rateLimitCheck);
             }
 
-            let otherSession = await this.createSession(otherUserId, '127.0.0.1', 'md_api_server');
-            if(otherSession === null) {
-                return this.error('An error occured when creating the session of the other user', ERROR_CODES.HANDLER_ERROR);
+            // check whether this method shall be executed as another user
+            // (requires special permission, can be used for e.g. chatbots)
+            if(methodResponse === null && parms.as_user !== undefined && parms.as_user !== null) {
+                let impersonation = await this.impersonate(session, parms.as_user);
+                if(impersonation.session === null) {
+                    methodResponse = this.error(impersonation.reason, impersonation.errorCode);
+                } else {
+                    // the overlay only lives for this call
+                    session = impersonation.session;
+                }
             }
 
-            // swap session for one call
-            originalSession = session;
-            session = otherSession;
-        }
+            if(methodResponse === null) {
+                // verify whether the method can be executed (parameters / permissions)
+                let executionVerification = await method.canBeExecuted(parms, session);
+                if(!executionVerification.passed) {
+                    methodResponse = this.error(executionVerification.reason, executionVerification.errorCode);
+                    if(executionVerification.errors !== undefined) {
+                        methodResponse.errors = executionVerification.errors;
+                    }
+                } else {
+                    // execute the method
+                    await method.execute({
+                        parms : parms,
+                        session : session,
+                        request : request,
+                        response : response,
+                        methods : methods
+                    }).then((methodResult) => {
+                        methodResponse = methodResult;
+                    }).catch((errorCode) => {
+                        // the cause has already been logged by execute()
+                        methodResponse = this.error('An Error occured while executing the requested method.', errorCode);
+                    });
+                }
+            }
 
-        // verify whether the method can be executed (parameters / permissions)
-        let executionVerification = await method.canBeExecuted(parms, session);
-        let methodResponse = null;
-        if(!executionVerification.passed) {
-            methodResponse = this.error(executionVerification.reason, executionVerification.errorCode);
-        } else {
-            // execute the method
-            await method.execute({
+            let duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+            metrics.methodCalled(method.path, methodResponse, duration);
+            // not awaited, writing the audit log must not delay the response, the shutdown waits for pending writes
+            audit.call({
+                method : method,
                 parms : parms,
                 session : session,
                 request : request,
-                response : response,
-                methods : methods
-            }).then((methodResult) => {
-                methodResponse = methodResult;
-            }).catch((errorCode) => {
-                console.log('Error executing a method', err);
-                methodResponse = this.error('An Error occured while executing the requested method.', errorCode);
+                methodResponse : methodResponse,
+                duration : Math.round(duration)
             });
+
+            return methodResponse;
+        } finally {
+            this.runningExecutions--;
         }
+    }
 
-        if(originalSession !== null) {
-            // Delete the session created under the as_user parameter
-            await this.deleteSession(session.session_id);
+    // ---------------------------------------------------------------------------------
+    // IMPERSONATION
+    // ---------------------------------------------------------------------------------
+    /**
+     * Creates the session-overlay used to execute a method as another user.
+     * The overlay is a copy of the session of the caller with the user_id (and admin-flag) of the impersonated user,
+     * actor_user_id holds the ID of the caller. No session is created in the database.
+     * @async
+     * @param {Object|null} session session of the caller
+     * @param {any} asUser value of the as_user parameter
+     * @returns {SessionResult} Object containing the overlay, or the reason why the caller can not impersonate the user
+     */
+    async impersonate(session, asUser) {
+        // check if the current user has the 'as_user' permission
+        if(!config.impersonation.enabled || session === null || session.user_id === undefined || session.user_id === null
+            || !await this.sessionHasPermissions(session, ['as_user'])) {
+            return { session : null, reason : 'You are not allowed to execute methods as other users', errorCode : ERROR_CODES.PERMISSION_MISSING };
+        }
+        // impersonation can not be chained, the actor always is the user that logged in
+        if(session.actor_user_id !== undefined) {
+            return { session : null, reason : 'You are already acting as another user', errorCode : ERROR_CODES.PERMISSION_MISSING };
+        }
+        if(String(asUser).trim().match(/^[0-9]+$/) === null) {
+            return { session : null, reason : 'Parameter as_user has the wrong type, expected int.', errorCode : ERROR_CODES.PARAM_TYPE };
+        }
+        let userID = parseInt(asUser);
 
-            // restore the original session
-            session = originalSession;
+        let userResult = await db.query('SELECT user_id, active, admin FROM '+config.db.auth_database+'.api_view_users WHERE user_id=?', userID);
+        if(userResult.length !== 1 || !userResult[0].active) {
+            return { session : null, reason : 'The user to act as does not exist or is not active', errorCode : ERROR_CODES.PARAM_RANGE };
         }
-        
-        return methodResponse;
+        let user = userResult[0];
+
+        if(user.admin && !config.impersonation.allow_admins) {
+            return { session : null, reason : 'You are not allowed to act as an administrator', errorCode : ERROR_CODES.PERMISSION_MISSING };
+        }
+        // acting as another user must not grant the caller permissions it does not have itself
+        if(config.impersonation.restrict_to_subset) {
+            let userPermissions = await this.getUserPermissions(user.user_id);
+            if(!await this.sessionHasPermissions(session, userPermissions)) {
+                return { session : null, reason : 'You are not allowed to act as a user with permissions you do not have', errorCode : ERROR_CODES.PERMISSION_MISSING };
+            }
+        }
+
+        return {
+            session : {
+                ...session,
+                user_id : user.user_id,
+                admin : user.admin,
+                actor_user_id : session.user_id
+            }
+        };
     }
 
     // ---------------------------------------------------------------------------------
     // PERMISSIONS
     // ---------------------------------------------------------------------------------
     /**
-     * Retrieves all permissions the user with the given id has
+     * Retrieves all permissions the user with the given id has.
+     * These are the permissions granted to the user directly or through its roles (including the roles they include)
+     * and their decendants in the permission tree. Permissions denied directly or through a role, and their decendants,
+     * are removed again, so a deny always overrides a grant.
+     * Results are cached unless a transaction is passed as tx, see APIPermissions.
      * @async
      * @param {integer} userID ID of the user to get the permissions of
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
      * @returns {string[]|null} Array of strings representing the permissions of the user, or null if an invalid userId was provided
      */
-    async getUserPermissions(userID) {
+    async getUserPermissions(userID, tx = db) {
         if(userID === undefined || userID === null) {
             return null;
         }
+        return await permissionCache.getUserPermissions(userID, tx);
+    }
 
-        let userPermissions = [];
-        // load all permissions of the user from the database
-        let permissions = await db.query('SELECT * FROM '+config.db.auth_database+'.api_user_permissions WHERE user_id=?', userID);
-        for(let permission of permissions) {
-            // avoid duplicates
-            if(!userPermissions.includes(permission.permission_key)) {
-                userPermissions.push(permission.permission_key);
-                // recursively get permission-children
-                let decendants = await this.getPermissionDecendants(permission.permission_key);
-                for(let decendant of decendants) {
-                    // avoid duplicates again
-                    if(!userPermissions.includes(decendant)) {
-                        userPermissions.push(decendant);
-                    }
-                }
-            }
-        }
+    /**
+     * Retrieves all roles of the user with the given id, including the roles included by them
+     * @async
+     * @param {integer} userID ID of the user to get the roles of
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @returns {string[]} Array containing the keys of all roles of the user
+     */
+    async getUserRoles(userID, tx = db) {
+        return await permissionCache.getUserRoles(userID, tx);
+    }
 
-        return userPermissions;
+    /**
+     * Gets the given roles and all roles they include, directly or through other roles
+     * @async
+     * @param {string[]} roles keys of the roles to start with
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
+     * @returns {string[]} Array containing the given roles and all roles included by them
+     */
+    async getIncludedRoles(roles, tx = db) {
+        return permissionCache.getIncludedRoles(await permissionCache.getModel(tx), roles);
     }
+
     /**
-     * Recursively gets all child-permissions of the given permission
+     * Gets all child-permissions of the given permission, recursively
      * @async
      * @param {string} permission permission to load the decendants of
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] Database handle to run the queries on
      * @returns {string[]} Array containing all permissions that are a decendant of the given permission
      */
-    async getPermissionDecendants(permission) {
-        let result = [];
-        // load all children of this permission from the database
-        let children = await db.query('SELECT * FROM '+config.db.auth_database+'.api_permissions WHERE parent_key=?', permission);
-        for(let child of children) {
-            // avoid duplicates
-            if(!result.includes(child.permission_key)) {
-                result.push(child.permission_key);
-                // recursively get the decendants of the permission
-                let decendants = await this.getPermissionDecendants(child.permission_key);
-                for(let decendant of decendants) {
-                    // avoid duplicates again
-                    if(!result.includes(decendant)) {
-                        result.push(decendant);
-                    }
-                }
-            }
-        }
-        return result;
+    async getPermissionDecendants(permission, tx = db) {
+        return permissionCache.getDecendants(await permissionCache.getModel(tx), permission);
+    }
+
+    /**
+     * Removes cached permissions once the given transaction has been committed.
+     * Methods that change the permission-tables must call this, changes made outside
+     * of the API can be announced by calling it without a transaction.
+     * @param {integer|null} [userID=null] ID of the user whose permissions changed, or null if the permission tree,
+     * the roles or the permissions of many users changed
+     * @param {APIDatabaseConnection|APIDatabase} [tx=db] the transaction the changes were made in
+     */
+    invalidatePermissions(userID = null, tx = db) {
+        tx.afterCommit(() => {
+            permissionCache.invalidate(userID);
+        });
     }
 
     /**
@@ -284,6 +538,14 @@ class APIUtils {
      * @property {boolean} passed true of the verification was positive, false otherwise
      * @property {string} [reason] reason why a verification has failed, only set when passed is false
      * @property {string} [errorCode] constant from ERROR_CODES that specifies why a verification has failed
+     * @property {string} [key] path of the parameter that failed the verification, only set by parameter checks
+     * @property {ParameterError[]} [errors] all parameters that failed the verification, only set by APIMethod.canBeExecuted
+     */
+    /**
+     * @typedef {Object} ParameterError
+     * @property {string} key path of the parameter, e.g. content.calls[3].method
+     * @property {string} code constant from ERROR_CODES, e.g. PARAM_MISSING
+     * @property {string} message human-readable description of the error
      */
     /**
      * Checks whether a user (identified by its session) is allowed to execute an API-method
@@ -304,7 +566,7 @@ class APIUtils {
                 };
             }
             // check whether the user has all required permissions to run the method
-            if(!(await this.userHasPermissions(session.user_id, method.requiredPermissions))) {
+            if(!(await this.sessionHasPermissions(session, method.requiredPermissions))) {
                 return {
                     passed : false,
                     reason : 'You do not have the necessary permissions to call this method',
@@ -325,6 +587,24 @@ class APIUtils {
         };
     }
 
+    /**
+     * Determines which of the given methods the owner of a session is allowed to call
+     * @async
+     * @param {Object|null} session session of the user (might be null for unauthenticated users)
+     * @param {APIMethod[]} methods the methods to check
+     * @returns {string[]} paths of all methods the user is allowed to call
+     */
+    async getAllowedEndpoints(session, methods) {
+        let allowedEndpoints = [];
+        for(let method of methods) {
+            let permissionCheck = await this.allowedToExecuteMethod(session, method);
+            if(permissionCheck.passed) {
+                allowedEndpoints.push(method.path);
+            }
+        }
+        return allowedEndpoints;
+    }
+
     /**
      * Checks whether a user has the permissions required for a certain API-method
      * @async
@@ -336,6 +616,25 @@ class APIUtils {
         return await this.userHasPermissions(userID, method.requiredPermissions);
     }
 
+    /**
+     * Checks whether the owner of a session has all of the given permissions.
+     * Sessions of API keys with scopes only have the permissions that are part of the scopes as well.
+     * @async
+     * @param {Object} session the session to check
+     * @param {string[]|null} permissions Array of permissions to check, if this is null the method will always return true
+     * @returns {boolean} true if the session has all given permissions, false otherwise
+     */
+    async sessionHasPermissions(session, permissions) {
+        if(session.scopes !== undefined && session.scopes !== null && permissions !== undefined && permissions !== null) {
+            for(let permission of permissions) {
+                if(!session.scopes.includes(permission)) {
+                    return false;
+                }
+            }
+        }
+        return await this.userHasPermissions(session.user_id, permissions);
+    }
+
     /**
      * Checks whether a user has all of the given permissions
      * @async
@@ -371,15 +670,34 @@ class APIUtils {
     /**
      * @typedef {Object} APIParameter
      * @property {string} key name of the parameter
-     * @property {string} [type] type of the parameter. This is optional, but it is highly recommended to set this
+     * @property {string} [type] type of the parameter, one of the types registered in APITypes (int, float, boolean, string, char, date, datetime,
+     * timestamp, email, url, enum, base64, ip, sha256, uuid, json, array, object, file or a custom type). This is optional, but it is highly recommended to set this
      * @property {boolean} [optional=false] flag to determine whether this parameter must be passed (optional=false) or not
      * @property {any} [default] default-value to use if optional=true and the parameter was not passed
+     * @property {boolean} [nullable=false] flag to accept null as value, only relevant for values inside of a schema since a passed null is treated as a missing parameter
      * @property {any[]} [interpretAsNull] values that will be converted into null if they are passed
      * @property {number} [min] minimum allowed value for number-type parameters (int, float)
      * @property {number} [max] maximum allowed value for number-type parameters (int, float)
      * @property {number} [minLength] minimum allowed length for string-type parameters
      * @property {number} [maxLength] maximum allowed value for string-type parameters
-     * @property {any[]} [allowed_values] Array of allowed values for this parameter, everything else will be rejected
+     * @property {string|RegExp} [pattern] regular expression the value must match
+     * @property {any[]} [allowedValues] Array of allowed values for this parameter, everything else will be rejected
+     * @property {integer} [version] IP-version (4 or 6) a parameter of the type ip must have
+     * @property {integer} [maxSize] maximum size in bytes of a parameter of the type file
+     * @property {string[]} [mimeTypes] MIME-types a parameter of the type file may have, as declared by the client
+     * @property {APISchema} [schema] schema the value of a parameter of the type json must match
+     * @property {APISchema} [items] schema of the items of a parameter of the type array
+     * @property {number} [minItems] minimum number of items of a parameter of the type array
+     * @property {number} [maxItems] maximum number of items of a parameter of the type array
+     * @property {APIParameter[]} [properties] definitions of the properties of a parameter of the type object, identified by their key
+     * @property {string} [description] description of the parameter, used in the generated documentation
+     */
+    /**
+     * Schemas describe values nested inside of parameters. They take the same properties as an APIParameter,
+     * except for key, which is only needed for the properties of objects.
+     * Besides the scalar types a schema can have the type 'object' (checked with properties) or 'array' (checked with items),
+     * 'json' values are parsed and then checked with schema, if one is given.
+     * @typedef {Object} APISchema
      */
     /**
      * Checks whether a given parameters requirements are fulfilled by the parameters passed by a user
@@ -388,13 +706,30 @@ class APIUtils {
      * @returns {VerificationResult} Object representing whether the parameters requirements are fulfilled
      */
     checkParameter(parm, parms) {
-        // Check if the parameter exists
-        if(!(parm.key in parms) || parms[parm.key] === undefined || parms[parm.key] === null) {
-            // If it does not exist, check whether the parameter is optional
-            if(parm.optional) {
+        return this.checkValue(parm, parms[parm.key], parm.key);
+    }
+
+    /**
+     * Checks a value against a parameter definition or schema, nested values of objects and arrays are checked recursively
+     * @param {APIParameter|APISchema} definition The definition to check against
+     * @param {any} value The value to check
+     * @param {string} path Path of the value used in error messages, e.g. content.calls[3].method
+     * @returns {VerificationResult} Object representing whether the requirements are fulfilled, newValue is the parsed value
+     */
+    checkValue(definition, value, path) {
+        // Check if the value exists
+        if(value === undefined || value === null) {
+            if(value === null && definition.nullable) {
+                return {
+                    passed : true,
+                    newValue : null
+                };
+            }
+            // If it does not exist, check whether the value is optional
+            if(definition.optional) {
                 let newValue = null;
-                if(parm.default !== undefined) {
-                    newValue = parm.default;
+                if(definition.default !== undefined) {
+                    newValue = definition.default;
                 }
                 return {
                     passed : true,
@@ -403,152 +738,199 @@ class APIUtils {
             } else {
                 return {
                     passed : false,
-                    reason : 'Required parameter ' + parm.key + ' is missing.',
+                    key : path,
+                    reason : 'Required parameter ' + path + ' is missing.',
                     errorCode : ERROR_CODES.PARAM_MISSING
                 };
             }
         }
 
-        // Check if the parameter has the correct type
-        if('type' in parm) {
-            let typeCheckPassed = false;
-            let newValue = parms[parm.key];
+        // Without a type every value is accepted
+        if(!('type' in definition)) {
+            return {
+                passed : true,
+                newValue : value
+            };
+        }
 
-            // cast passed value into a string and trim it
-            newValue = String(newValue); // TODO look into options to take correctly typed values instead of casting here
-            newValue = newValue.trim();
+        // Check if the value has the correct type
+        let typeCheck = types.check(definition, value);
+        let newValue = typeCheck.value;
 
-            // check the parameter depending on the required type
-            switch(parm.type) {
-                case 'int':
-                case 'integer':
-                    if(newValue.match(/^([0-9]+)$/) !== null) {
-                        typeCheckPassed = true;
-                        newValue = parseInt(newValue);
-                    }
-                    break;
-                case 'float':
-                case 'double':
-                    if(newValue.match(/^[-]?[0-9]+(\.[0-9]+)?$/) !== null) {
-                        typeCheckPassed = true;
-                        newValue = Number(newValue);
-                    }
-                    break;
-                case 'datetime':
-                    if(newValue.match(/^(\d{4})-(0[1-9]|1[0-2])-([0-2][1-9]|10|20|3[0-1]) ([0-1][0-9]|2[0-3]):([0-5][0-9]):([0-5][0-9])$/) !== null) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'date':
-                    if(newValue.match(/^(\d{4})-(0[1-9]|1[0-2])-([0-2][1-9]|10|20|3[0-1])$/) !== null) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'boolean':
-                case 'bool':
-                    if([1, true, 'true', '1'].includes(newValue)) {
-                        typeCheckPassed = true;
-                        newValue = true;
-                    } else if([0, false, 'false', '0'].includes(newValue)) {
-                        typeCheckPassed = true;
-                        newValue = false;
-                    }
-                    break;
-                case 'char':
-                    if(newValue.length === 1) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'string':
-                    if(newValue.length > 0) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'sha256':
-                    if(newValue.match(/^[A-Fa-f0-9]{64}$/) !== null) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'uuid': // RFC4122 UUID v4
-                    if(newValue.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i) !== null) {
-                        typeCheckPassed = true;
-                    }
-                    break;
-                case 'json':
-                    try {
-                        let obj = JSON.parse(newValue);
-                        typeCheckPassed = true;
-                        newValue = obj;
-                    } catch(e) {
-                        // Not valid JSON
-                    }
-                    break;
-            }
+        // check if the value passed should be treated as null
+        if('interpretAsNull' in definition && definition.interpretAsNull.includes(newValue)) {
+            return {
+                passed : true,
+                newValue : null
+            };
+        }
+        // deny wrongly typed values
+        if(!typeCheck.passed) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' has the wrong type, expected ' + definition.type + '.',
+                errorCode : ERROR_CODES.PARAM_TYPE
+            };
+        }
+        // deny values that are not in the range of allowed values
+        if('min' in definition && newValue < definition.min) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' is too small, the minimum value is ' + definition.min + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('max' in definition && newValue > definition.max) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' is too big, the maximum value is ' + definition.max + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('maxLength' in definition && newValue.length > definition.maxLength) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' is too long, the maximum length is ' + definition.maxLength + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('minLength' in definition && newValue.length < definition.minLength) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' is too short, the minimum length is ' + definition.minLength + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('pattern' in definition && !new RegExp(definition.pattern).test(String(newValue))) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter ' + path + ' does not match the pattern ' + String(definition.pattern) + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('maxSize' in definition && newValue.size > definition.maxSize) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'File ' + path + ' is too big, the maximum size is ' + definition.maxSize + ' bytes.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('mimeTypes' in definition && !definition.mimeTypes.includes(newValue.mimeType)) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'File ' + path + ' has the type ' + newValue.mimeType + ', allowed are ' + definition.mimeTypes.join(', ') + '.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
+        if('allowedValues' in definition && !definition.allowedValues.includes(newValue)) {
+            return {
+                passed : false,
+                key : path,
+                reason : 'Parameter '+path+' has an invalid value.',
+                errorCode : ERROR_CODES.PARAM_RANGE
+            };
+        }
 
-            // If the value was not changed by the typecheck just use the one passed
-            if(newValue === null) {
-                newValue = parms[parm.key];
+        // check nested values
+        if(definition.type === 'json' && definition.schema !== undefined) {
+            return this.checkValue(definition.schema, newValue, path);
+        }
+        if(definition.type === 'array') {
+            if('minItems' in definition && newValue.length < definition.minItems) {
+                return {
+                    passed : false,
+                    key : path,
+                    reason : 'Parameter ' + path + ' has too few items, the minimum is ' + definition.minItems + '.',
+                    errorCode : ERROR_CODES.PARAM_RANGE
+                };
             }
-
-            // check if the value passed in the parameter should be treated as null
-            if('interpretAsNull' in parm && parm.interpretAsNull.includes(newValue)) {
+            if('maxItems' in definition && newValue.length > definition.maxItems) {
                 return {
-                    passed : true,
-                    newValue : null
+                    passed : false,
+                    key : path,
+                    reason : 'Parameter ' + path + ' has too many items, the maximum is ' + definition.maxItems + '.',
+                    errorCode : ERROR_CODES.PARAM_RANGE
                 };
-            } else {
-                // deny wrongly typed parameters
-                if(!typeCheckPassed) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter ' + parm.key + ' has the wrong type, expected ' + parm.type + '.',
-                        errorCode : ERROR_CODES.PARAM_TYPE
-                    };
-                }
-                // deny values that are not in the range of allowed values
-                if('min' in parm && newValue < parm.min) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter ' + parm.key + ' is too small, the minimum value is ' + parm.min + '.',
-                        errorCode : ERROR_CODES.PARAM_RANGE
-                    };
-                }
-                if('max' in parm && newValue > parm.max) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter ' + parm.key + ' is too big, the maximum value is ' + parm.max + '.',
-                        errorCode : ERROR_CODES.PARAM_RANGE
-                    };
-                }
-                if('maxLength' in parm && newValue.length > parm.maxLength) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter ' + parm.key + ' is too long, the maximum length is ' + parm.maxLength + '.',
-                        errorCode : ERROR_CODES.PARAM_RANGE
-                    };
-                }
-                if('minLength' in parm && newValue.length < parm.minLength) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter ' + parm.key + ' is too short, the minimum length is ' + parm.minLength + '.',
-                        errorCode : ERROR_CODES.PARAM_RANGE
-                    };
+            }
+            if(definition.items !== undefined) {
+                let items = [];
+                for(let i = 0; i < newValue.length; i++) {
+                    let itemCheck = this.checkValue(definition.items, newValue[i], path + '[' + i + ']');
+                    if(!itemCheck.passed) {
+                        return itemCheck;
+                    }
+                    items.push(itemCheck.newValue);
                 }
-                if('allowedValues' in parm && !parm.allowedValues.includes(newValue)) {
-                    return {
-                        passed : false,
-                        reason : 'Parameter '+parm.key+' has an invalid value.',
-                        errorCode : ERROR_CODES.PARAM_RANGE
-                    };
+                newValue = items;
+            }
+        }
+        if(definition.type === 'object' && definition.properties !== undefined) {
+            // properties without a definition are kept as they are
+            newValue = { ...newValue };
+            for(let property of definition.properties) {
+                let propertyCheck = this.checkValue(property, newValue[property.key], path + '.' + property.key);
+                if(!propertyCheck.passed) {
+                    return propertyCheck;
                 }
+                newValue[property.key] = propertyCheck.newValue;
+            }
+        }
 
-                // if all checks pass then the value is ok
-                return {
-                    passed : true,
-                    newValue : newValue
-                };
+        // if all checks pass then the value is ok
+        return {
+            passed : true,
+            newValue : newValue
+        };
+    }
+
+    /**
+     * Removes all values that are not declared in a schema from the data returned by a method.
+     * Nested objects and arrays are filtered recursively, only objects with properties are filtered.
+     * @param {APISchema} definition the schema of the data
+     * @param {any} value the data to filter
+     * @param {string} path path of the value used in the descriptions of mismatches, e.g. data.session.token
+     * @param {string[]|null} [mismatches=null] if an array is passed, values that do not match the schema are described in it
+     * @returns {any} the filtered data
+     */
+    filterValue(definition, value, path, mismatches = null) {
+        if(value === undefined || value === null) {
+            if(mismatches !== null && !definition.optional && !(value === null && definition.nullable)) {
+                mismatches.push(path + ' is missing');
+            }
+            return value;
+        }
+        if(mismatches !== null && 'type' in definition && !types.check(definition, value).passed) {
+            mismatches.push(path + ' is not of the type ' + definition.type);
+            return value;
+        }
+
+        if(definition.type === 'json' && definition.schema !== undefined) {
+            return this.filterValue(definition.schema, value, path, mismatches);
+        }
+        if(definition.type === 'array' && definition.items !== undefined && Array.isArray(value)) {
+            return value.map((item, i) => {
+                return this.filterValue(definition.items, item, path + '[' + i + ']', mismatches);
+            });
+        }
+        if(definition.type === 'object' && definition.properties !== undefined && typeof value === 'object' && !Array.isArray(value)) {
+            let result = {};
+            for(let property of definition.properties) {
+                let propertyValue = this.filterValue(property, value[property.key], path + '.' + property.key, mismatches);
+                if(propertyValue !== undefined) {
+                    result[property.key] = propertyValue;
+                }
             }
+            return result;
         }
+        return value;
     }
 
     // ---------------------------------------------------------------------------------
@@ -562,6 +944,9 @@ class APIUtils {
      * @property {string} [code] an error Code constant from ERROR_CODES, explaining the type of the error
      * @property {Object} [session] is set if the execution of a method changes anything about the current session, only relevant for multicalls
      * @property {string} [token] a login-token the user could use to log in, may be issued by /session/check_session to allow the client to spare a call
+     * @property {integer} [retry_after] seconds after which a call rejected with ERROR_CODES.RATE_LIMITED can be tried again
+     * @property {ParameterError[]} [errors] all parameters that failed the verification, msg and code are the ones of the first
+     * @property {Download} [download] file or stream that is sent instead of the JSON-response, see file() and stream()
      */
     /**
      * Wraps data into a successful API-Response
@@ -610,17 +995,88 @@ class APIUtils {
     }
 
     /**
-     * Removes empty properties from API-Responses
+     * Creates the API-Response for a call rejected by the APIRateLimiter
+     * @param {RateLimitResult} rateLimitResult the result of the rate limit check
+     * @returns {APIResponse} Object representing an unsuccessful API-Response
+     */
+    rateLimited(rateLimitResult) {
+        let result = this.error(rateLimitResult.reason, rateLimitResult.errorCode);
+        result.retry_after = rateLimitResult.retryAfter;
+        return result;
+    }
+
+    /**
+     * @typedef {Object} Download
+     * @property {string|null} path path of the file to send, null for streams
+     * @property {ReadableStream|null} stream stream to send, null for files
+     * @property {string|null} filename name the client should save the download as, sent in Content-Disposition
+     * @property {string|null} mimeType Content-Type of the download, derived from the filename if null
+     * @property {integer|null} size size of a stream in bytes, sent in Content-Length if it is known
+     */
+    /**
+     * Creates a successful API-Response that sends a file instead of the JSON-response, e.g. a download.
+     * Only calls made directly over HTTP can receive files, JSON-RPC, WebSocket and multicalls receive an error instead.
+     * @param {string} path path of the file to send
+     * @param {Object} [options]
+     * @param {string|null} [options.filename=null] name the client should save the file as
+     * @param {string|null} [options.mimeType=null] Content-Type of the file, derived from the filename or path if null
+     * @returns {APIResponse} Object representing a successful API-Response
+     */
+    file(path, { filename = null, mimeType = null } = {}) {
+        return {
+            success : true,
+            download : { path : path, stream : null, filename : filename, mimeType : mimeType, size : null }
+        };
+    }
+
+    /**
+     * Creates a successful API-Response that sends the content of a stream instead of the JSON-response, e.g. a CSV-export.
+     * Only calls made directly over HTTP can receive streams, JSON-RPC, WebSocket and multicalls receive an error instead.
+     * @param {ReadableStream} stream the stream to send
+     * @param {Object} [options]
+     * @param {string|null} [options.filename=null] name the client should save the content as
+     * @param {string|null} [options.mimeType=null] Content-Type of the content, derived from the filename if null
+     * @param {integer|null} [options.size=null] size of the content in bytes, if it is known
+     * @returns {APIResponse} Object representing a successful API-Response
+     */
+    stream(stream, { filename = null, mimeType = null, size = null } = {}) {
+        return {
+            success : true,
+            download : { path : null, stream : stream, filename : filename, mimeType : mimeType, size : size }
+        };
+    }
+
+    /**
+     * Replaces a download by an error for calls whose response can only be JSON (JSON-RPC, WebSocket and multicalls)
+     * @param {APIResponse} methodResponse the API-Response of a method
+     * @returns {APIResponse} the API-Response, or an error if it was a download
+     */
+    withoutDownload(methodResponse) {
+        if(methodResponse.download === undefined) {
+            return methodResponse;
+        }
+        if(methodResponse.download.stream !== null) {
+            methodResponse.download.stream.destroy();
+        }
+        return this.error('This method returns a file, it can only be called directly over HTTP.', ERROR_CODES.METHOD_ERROR);
+    }
+
+    /**
+     * Prepares an API-Response to be sent to the client. Empty properties are removed, and so is the session, which
+     * only passes login and logout on to the transport (and subsequent calls of a multicall). The session-row contains
+     * internal IDs, methods that return the session to the client put it into data where their returns-schema filters it.
      * @param {APIResponse} response the API-Response to prepare to be sent to the client
-     * @returns {APIResponse} the cleaned API-Response
+     * @returns {APIResponse} a cleaned copy of the API-Response
      */
     makeClientResponse(response) {
-        ['data', 'msg', 'code', 'token'].forEach((key) => {
-            if(response[key] === undefined || response[key] === null) {
-                delete response[key];
+        let clientResponse = { ...response };
+        delete clientResponse.session;
+        ['data', 'msg', 'code', 'token', 'retry_after', 'errors'].forEach((key) => {
+            if(clientResponse[key] === undefined || clientResponse[key] === null) {
+                delete clientResponse[key];
             }
         });
-        return response;
+        return clientResponse;
     }
 };
 
@@ -0,0 +1,311 @@
+// ---------------------------------------------------------------------------------
+// IMPORTS
+// ---------------------------------------------------------------------------------
+// Dependencies
+const url = require('url');
+const WebSocket = require('ws');
+
+// Import other Modules
+const apiUtils = require('./APIUtils.js');
+const push = require('./APIPush.js');
+const logger = require('./APILogger.js');
+const config = require('./APIConfig.js');
+const { ERROR_CODES } = require('./APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// APIWebSocketConnection CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class represents the WebSocket-connection of a single client
+ */
+class APIWebSocketConnection {
+    /**
+     * Creates a new connection
+     * @param {WebSocket} socket the socket of the client
+     * @param {Object} request the HTTP-request that was upgraded to the WebSocket-connection
+     */
+    constructor(socket, request) {
+        this.socket = socket;
+        this.request = request;
+        // session-token the connection authenticated with, and the session it belongs to
+        this.token = null;
+        this.session = null;
+        this.alive = true;
+        // messages are handled one after another, so e.g. a call sent after an auth-message runs with the new session
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Sends a message to the client if the connection is open
+     * @param {string|Object} message the message to send, objects are serialized to JSON
+     * @returns {boolean} true if the message was sent, false if the connection is not open
+     */
+    send(message) {
+        if(this.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+        return true;
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// APIWebSocket CLASS
+// ---------------------------------------------------------------------------------
+/**
+ * This class provides a WebSocket-endpoint on the HTTP- and HTTPS-servers of an APIServer.
+ * Clients send messages of the following types:
+ * - { type : 'auth', token } authenticates the connection with a session-token
+ * - { type : 'call', id, method, parms } calls the APIMethod with the path method,
+ *   the answer is an API-Response with the additional properties type='response' and the id of the call
+ * Events pushed via APIPush are sent as { type : 'event', event, data, [channel] }
+ */
+class APIWebSocket {
+    /**
+     * Creates a new WebSocket-endpoint
+     * @param {APIServer} server the server whose methods shall be callable
+     */
+    constructor(server) {
+        this.server = server;
+        this.wss = new WebSocket.Server({ noServer : true, maxPayload : 1e6 });
+        this.heartbeat = null;
+
+        this.wss.on('connection', (socket, request) => {
+            this.handleConnection(socket, request);
+        });
+    }
+
+    /**
+     * Accepts WebSocket-connections on the configured path of the given HTTP(S)-server
+     * @param {Object} httpServer the server to accept connections on
+     */
+    attach(httpServer) {
+        httpServer.on('upgrade', (request, socket, head) => {
+            let pathname = null;
+            try {
+                pathname = url.parse(request.url).pathname;
+            } catch(e) {
+                // invalid URL
+            }
+            if(pathname !== config.websocket.path) {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(request, socket, head, (ws) => {
+                this.wss.emit('connection', ws, request);
+            });
+        });
+
+        // Terminate connections that did not answer the last ping
+        let interval = config.websocket.heartbeat_interval;
+        if(this.heartbeat === null && interval !== undefined && interval !== null && interval > 0) {
+            this.heartbeat = setInterval(() => {
+                for(let connection of push.connections) {
+                    if(!connection.alive) {
+                        connection.socket.terminate();
+                        continue;
+                    }
+                    connection.alive = false;
+                    connection.socket.ping();
+                }
+            }, interval * 1000);
+            this.heartbeat.unref();
+        }
+    }
+
+    /**
+     * Sets up a newly opened connection
+     * @param {WebSocket} socket the socket of the client
+     * @param {Object} request the upgraded HTTP-request
+     */
+    handleConnection(socket, request) {
+        // express is not involved in upgrades, so set the ip like express does for the methods
+        request.ip = this.server.resolveIP(request);
+        // all calls on the connection share the ID of the upgrade-request
+        this.server.assignRequestID(request);
+
+        let connection = new APIWebSocketConnection(socket, request);
+        push.addConnection(connection);
+
+        // authenticate right away if the upgrade-request carries a session-token in the Authorization-header or the session-cookie
+        let token = this.server.readSessionToken(request, null, this.isTrustedOrigin(request));
+        if(token !== null) {
+            connection.queue = connection.queue.then(() => {
+                return this.authenticate(connection, token);
+            }).catch((err) => {
+                logger.forRequest(request).error('Error authenticating a WebSocket-connection', { error : err });
+            });
+        }
+
+        socket.on('pong', () => {
+            connection.alive = true;
+        });
+        socket.on('message', (data) => {
+            connection.queue = connection.queue.then(() => {
+                return this.handleMessage(connection, data.toString());
+            }).catch((err) => {
+                logger.forRequest(request).error('Error handling a WebSocket-message', { error : err });
+            });
+        });
+        socket.on('close', () => {
+            push.removeConnection(connection);
+        });
+    }
+
+    /**
+     * Checks whether the session-cookie may authenticate an upgrade-request. Browsers attach the cookie to upgrades started
+     * by any website, so it is only accepted from the origin of the server itself and from config.session.cookie.allowed_origins.
+     * Requests without an Origin-header are not sent by browsers and are accepted.
+     * @param {Object} request the upgrade-request
+     * @returns {boolean} true if the cookie may be used
+     */
+    isTrustedOrigin(request) {
+        let origin = request.headers['origin'];
+        if(origin === undefined) {
+            return true;
+        }
+        if(config.session.cookie.allowed_origins.includes(origin)) {
+            return true;
+        }
+        try {
+            return new URL(origin).host === request.headers['host'];
+        } catch(e) {
+            // Origin is not a valid URL, e.g. "null"
+            return false;
+        }
+    }
+
+    /**
+     * Handles a message sent by a client
+     * @async
+     * @param {APIWebSocketConnection} connection the connection the message was received on
+     * @param {string} data the message
+     */
+    async handleMessage(connection, data) {
+        let message = null;
+        try {
+            message = JSON.parse(data);
+        } catch(e) {
+            connection.send({ type : 'error', ...apiUtils.error('Message is not valid JSON.', ERROR_CODES.HANDLER_ERROR) });
+            return;
+        }
+        if(message === null || typeof message !== 'object') {
+            connection.send({ type : 'error', ...apiUtils.error('Message must be an object.', ERROR_CODES.HANDLER_ERROR) });
+            return;
+        }
+
+        switch(message.type) {
+            case 'auth':
+                let authResponse = this.rejectWhileStopping();
+                if(authResponse === null) {
+                    authResponse = await this.authenticate(connection, message.token);
+                }
+                connection.send({ type : 'auth', ...apiUtils.makeClientResponse(authResponse) });
+                break;
+            case 'call':
+                let methodResponse = this.rejectWhileStopping();
+                if(methodResponse === null) {
+                    try {
+                        methodResponse = await this.call(connection, message);
+                    } catch(err) {
+                        logger.forRequest(connection.request).error('Error handling a WebSocket-call', { error : err });
+                        methodResponse = apiUtils.error('An Error occured while handling your request.', ERROR_CODES.HANDLER_ERROR);
+                    }
+                }
+                connection.send({ type : 'response', id : message.id, ...apiUtils.makeClientResponse(methodResponse) });
+                break;
+            default:
+                connection.send({ type : 'error', id : message.id, ...apiUtils.error('Unknown message type.', ERROR_CODES.HANDLER_ERROR) });
+        }
+    }
+
+    /**
+     * Rejects messages arriving while the server shuts down, like HTTP-requests are rejected,
+     * so the server only has to finish the calls in flight
+     * @returns {APIResponse|null} an error-response if the server is shutting down, null otherwise
+     */
+    rejectWhileStopping() {
+        if(this.server.state === 'stopping') {
+            return apiUtils.error('The server is shutting down', ERROR_CODES.SHUTTING_DOWN);
+        }
+        return null;
+    }
+
+    /**
+     * Authenticates a connection with a session-token
+     * @async
+     * @param {APIWebSocketConnection} connection the connection to authenticate
+     * @param {string} token the session-token
+     * @returns {APIResponse} API-Response stating whether the authentication was successful
+     */
+    async authenticate(connection, token) {
+        let sessionResult = await this.server.loadSession(token);
+        if(sessionResult.session === null) {
+            this.setSession(connection, null);
+            return apiUtils.error((sessionResult.reason !== undefined ? sessionResult.reason : 'Invalid session-token'),
+                (sessionResult.errorCode !== undefined ? sessionResult.errorCode : ERROR_CODES.PERMISSION_NO_SESSION));
+        }
+        this.setSession(connection, sessionResult.session);
+        return apiUtils.success();
+    }
+
+    /**
+     * Executes a method called by a client
+     * @async
+     * @param {APIWebSocketConnection} connection the connection the call was received on
+     * @param {Object} message the call-message
+     * @returns {APIResponse} An API-Response Object
+     */
+    async call(connection, message) {
+        let method = this.server.methods.find((method) => {
+            return method.path === message.method;
+        });
+        if(method === undefined) {
+            return apiUtils.error('Unknown API-method', ERROR_CODES.METHOD_UNKNOWN);
+        }
+        let parms = (message.parms !== undefined && message.parms !== null && typeof message.parms === 'object' ? {...message.parms} : {});
+
+        // re-validate the session of the connection, it might have expired or been logged out in the meantime
+        if(connection.token !== null) {
+            let sessionResult = await this.server.loadSession(connection.token);
+            this.setSession(connection, sessionResult.session);
+            if(sessionResult.errorCode !== undefined && method.requireSession) {
+                return apiUtils.error(sessionResult.reason, sessionResult.errorCode);
+            }
+        }
+
+        let methodResponse = await apiUtils.tryExecuteMethod(method, parms, connection.session, connection.request, null, this.server.methods);
+
+        // If the call changed anything about the session status (login/logout) apply it to the connection
+        if(methodResponse.session !== undefined) {
+            this.setSession(connection, methodResponse.session);
+        }
+        return apiUtils.withoutDownload(methodResponse);
+    }
+
+    /**
+     * Sets the session of a connection
+     * @param {APIWebSocketConnection} connection the connection
+     * @param {Object|null} session the new session, or null if the connection is not authenticated anymore
+     */
+    setSession(connection, session) {
+        connection.session = session;
+        connection.token = (session !== null ? session.token : null);
+    }
+
+    /**
+     * Closes all connections and stops accepting new ones
+     */
+    close() {
+        if(this.heartbeat !== null) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        for(let connection of push.connections) {
+            connection.socket.close(1001, 'Server shutting down');
+        }
+        this.wss.close();
+    }
+}
+
+module.exports = APIWebSocket;
\ No newline at end of file
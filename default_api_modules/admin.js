@@ -0,0 +1,634 @@
+// ---------------------------------------------------------------------------------
+// REQUIRED PREAMBLE
+// ---------------------------------------------------------------------------------
+const { APIModule, APIMethod, apiUtils, db, config } = require('../APIServer.js');
+var apiModule = new APIModule('admin');
+
+const passwords = require('../APIPasswords.js');
+const { ERROR_CODES } = require('../APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// MIGRATIONS
+// ---------------------------------------------------------------------------------
+apiModule.addMigration({
+    version : 1,
+    description : 'Create the permissions required by the admin-methods',
+    up : [
+        'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'admin\', NULL, \'Administration of the API\')',
+        'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'admin_users\', \'admin\', \'Manage users and their sessions\')',
+        'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'admin_permissions\', \'admin\', \'Manage permissions and grant them to users\')'
+    ]
+});
+
+apiModule.addMigration({
+    version : 2,
+    description : 'Create the permission required to manage roles',
+    up : 'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'admin_roles\', \'admin\', \'Manage roles and assign them to users\')'
+});
+
+apiModule.addMigration({
+    version : 3,
+    description : 'Create the permission required to read the audit log',
+    up : 'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'admin_audit\', \'admin\', \'Read the audit log\')'
+});
+
+apiModule.addMigration({
+    version : 4,
+    description : 'Create the permission required to read the metrics',
+    up : 'INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (\'metrics\', \'admin\', \'Read the metrics of the server\')'
+});
+
+// ---------------------------------------------------------------------------------
+// API-METHODS: USERS
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/admin/users/list',
+    description : 'Lists all users',
+    parameters : [
+        { key : 'search', type : 'string', optional : true, description : 'Only list users whose login name or email-address contains this string' },
+        { key : 'limit', type : 'int', optional : true, default : 100, min : 1, max : 1000 },
+        { key : 'offset', type : 'int', optional : true, default : 0, min : 0 }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_users'],
+    transaction : false,
+    handler : async ({ parms, tx }) => {
+        let where = '';
+        let values = [];
+        if(parms.search !== null) {
+            where = ' WHERE login_name LIKE ? OR email LIKE ?';
+            let pattern = '%' + parms.search.replace(/[\\%_]/g, '\\$&') + '%';
+            values.push(pattern, pattern);
+        }
+        let users = await tx.query(
+            'SELECT user_id, login_name, email, active, admin, created_date, last_login FROM '+config.db.auth_database+'.api_users' +
+            where + ' ORDER BY login_name LIMIT ?,?',
+            ...values, parms.offset, parms.limit
+        );
+        return apiUtils.success({ users : users });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/users/get',
+    description : 'Loads a user with its roles, the permissions granted or denied to it and its effective permissions',
+    parameters : [
+        { key : 'user_id', type : 'int' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_users'],
+    transaction : false,
+    handler : async ({ parms, tx }) => {
+        let user = await loadUser(tx, parms.user_id);
+        if(user === null) {
+            return apiUtils.error('User not found');
+        }
+        let direct = await tx.query('SELECT permission_key, deny FROM '+config.db.auth_database+'.api_user_permissions WHERE user_id=? ORDER BY permission_key', user.user_id);
+        user.granted_permissions = direct.filter((permission) => {
+            return !permission.deny;
+        }).map((permission) => {
+            return permission.permission_key;
+        });
+        user.denied_permissions = direct.filter((permission) => {
+            return permission.deny;
+        }).map((permission) => {
+            return permission.permission_key;
+        });
+        let roles = await tx.query('SELECT role_key FROM '+config.db.auth_database+'.api_user_roles WHERE user_id=? ORDER BY role_key', user.user_id);
+        user.roles = roles.map((role) => {
+            return role.role_key;
+        });
+        user.effective_roles = await apiUtils.getUserRoles(user.user_id, tx);
+        user.permissions = await apiUtils.getUserPermissions(user.user_id, tx);
+        return apiUtils.success({ user : user });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/users/create',
+    description : 'Creates a new user',
+    parameters : [
+        { key : 'login_name', type : 'string', maxLength : 100 },
+        { key : 'password', type : 'string' },
+        { key : 'email', type : 'string', optional : true, maxLength : 255 },
+        { key : 'active', type : 'boolean', optional : true, default : true }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_users'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(parms.password.length < config.users.min_password_length) {
+            return apiUtils.error('The password is too short, the minimum length is ' + config.users.min_password_length + '.', ERROR_CODES.PARAM_RANGE);
+        }
+        let existing = await tx.query('SELECT user_id FROM '+config.db.auth_database+'.api_users WHERE login_name=? OR (email IS NOT NULL AND email=?) LIMIT 0,1', parms.login_name, parms.email);
+        if(existing.length > 0) {
+            return apiUtils.error('The login name or email-address is already in use');
+        }
+        let userResult = await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_users (login_name, email, password_hash, active) VALUES (?, ?, ?, ?)',
+            parms.login_name, parms.email, await passwords.hash(parms.password), (parms.active ? 1 : 0)
+        );
+        return apiUtils.success({ user : await loadUser(tx, userResult.insertId) });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/users/set_active',
+    description : 'Activates or deactivates a user, deactivated users are logged out',
+    parameters : [
+        { key : 'user_id', type : 'int' },
+        { key : 'active', type : 'boolean' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_users'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, session, tx }) => {
+        if(!parms.active && parms.user_id === session.user_id) {
+            return apiUtils.error('You can not deactivate your own account');
+        }
+        let user = await loadUser(tx, parms.user_id);
+        if(user === null) {
+            return apiUtils.error('User not found');
+        }
+        await tx.query('UPDATE '+config.db.auth_database+'.api_users SET active=? WHERE user_id=?', (parms.active ? 1 : 0), user.user_id);
+
+        if(!parms.active) {
+            await apiUtils.deleteUserSessions(user.user_id, tx);
+        }
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/users/sessions',
+    description : 'Lists the active sessions of a user',
+    parameters : [
+        { key : 'user_id', type : 'int' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_users'],
+    transaction : false,
+    handler : async ({ parms, tx }) => {
+        // the session-tokens are not returned, they would allow to take over the sessions
+        let sessions = await tx.query(
+            'SELECT session_id, start_date, last_action, expiration_date, ip, user_agent FROM '+config.db.auth_database+'.api_sessions' +
+            ' WHERE user_id=? AND NOT '+apiUtils.sessionExpiredSQL()+' ORDER BY start_date',
+            parms.user_id
+        );
+        return apiUtils.success({ sessions : sessions });
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// API-METHODS: PERMISSIONS
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/admin/permissions/list',
+    description : 'Lists all permissions, parent_key describes the permission tree',
+    parameters : [],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_permissions'],
+    transaction : false,
+    handler : async ({ tx }) => {
+        let permissions = await tx.query('SELECT permission_key, parent_key, description FROM '+config.db.auth_database+'.api_permissions ORDER BY permission_key');
+        return apiUtils.success({ permissions : permissions });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/permissions/create',
+    description : 'Creates a new permission',
+    parameters : [
+        { key : 'permission_key', type : 'string', maxLength : 100 },
+        { key : 'parent_key', type : 'string', optional : true, maxLength : 100, description : 'Users with the parent permission have the new permission as well' },
+        { key : 'description', type : 'string', optional : true, maxLength : 255 }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_permissions'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(await permissionExists(tx, parms.permission_key)) {
+            return apiUtils.error('The permission already exists');
+        }
+        if(parms.parent_key !== null && !await permissionExists(tx, parms.parent_key)) {
+            return apiUtils.error('The parent permission does not exist');
+        }
+        await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_permissions (permission_key, parent_key, description) VALUES (?, ?, ?)',
+            parms.permission_key, parms.parent_key, parms.description
+        );
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/permissions/set_parent',
+    description : 'Moves a permission to another place in the permission tree',
+    parameters : [
+        { key : 'permission_key', type : 'string' },
+        { key : 'parent_key', type : 'string', optional : true, description : 'The new parent, leave out to make the permission a root of the tree' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_permissions'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(!await permissionExists(tx, parms.permission_key)) {
+            return apiUtils.error('The permission does not exist');
+        }
+        if(parms.parent_key !== null) {
+            if(!await permissionExists(tx, parms.parent_key)) {
+                return apiUtils.error('The parent permission does not exist');
+            }
+            // a permission must not become a decendant of itself, the tree could not be resolved anymore
+            if(parms.parent_key === parms.permission_key
+                || (await apiUtils.getPermissionDecendants(parms.permission_key, tx)).includes(parms.parent_key)) {
+                return apiUtils.error('A permission can not be moved below itself or one of its decendants', ERROR_CODES.PARAM_RANGE);
+            }
+        }
+        await tx.query('UPDATE '+config.db.auth_database+'.api_permissions SET parent_key=? WHERE permission_key=?', parms.parent_key, parms.permission_key);
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/permissions/grant',
+    description : 'Grants a permission to a user, or denies it explicitly',
+    parameters : [
+        { key : 'user_id', type : 'int' },
+        { key : 'permission_key', type : 'string' },
+        { key : 'deny', type : 'boolean', optional : true, default : false, description : 'If true the user does not have the permission, even if it is granted through a role or a parent permission' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_permissions'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(await loadUser(tx, parms.user_id) === null) {
+            return apiUtils.error('User not found');
+        }
+        if(!await permissionExists(tx, parms.permission_key)) {
+            return apiUtils.error('The permission does not exist');
+        }
+        await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_user_permissions (user_id, permission_key, deny) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE deny=VALUES(deny)',
+            parms.user_id, parms.permission_key, (parms.deny ? 1 : 0)
+        );
+        apiUtils.invalidatePermissions(parms.user_id, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/permissions/revoke',
+    description : 'Removes a permission granted or denied to a user. Permissions the user has through roles or the permission tree are not affected',
+    parameters : [
+        { key : 'user_id', type : 'int' },
+        { key : 'permission_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_permissions'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_user_permissions WHERE user_id=? AND permission_key=?', parms.user_id, parms.permission_key);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('The permission was neither granted nor denied to the user');
+        }
+        apiUtils.invalidatePermissions(parms.user_id, tx);
+        return apiUtils.success();
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// API-METHODS: ROLES
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/list',
+    description : 'Lists all roles with the permissions they grant or deny and the roles they include',
+    parameters : [],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : false,
+    handler : async ({ tx }) => {
+        let roles = await tx.query('SELECT role_key, description FROM '+config.db.auth_database+'.api_roles ORDER BY role_key');
+        let permissions = await tx.query('SELECT role_key, permission_key, deny FROM '+config.db.auth_database+'.api_role_permissions ORDER BY permission_key');
+        let includes = await tx.query('SELECT role_key, included_role_key FROM '+config.db.auth_database+'.api_role_includes ORDER BY included_role_key');
+        for(let role of roles) {
+            role.granted_permissions = [];
+            role.denied_permissions = [];
+            for(let permission of permissions) {
+                if(permission.role_key === role.role_key) {
+                    (permission.deny ? role.denied_permissions : role.granted_permissions).push(permission.permission_key);
+                }
+            }
+            role.includes = includes.filter((include) => {
+                return include.role_key === role.role_key;
+            }).map((include) => {
+                return include.included_role_key;
+            });
+        }
+        return apiUtils.success({ roles : roles });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/create',
+    description : 'Creates a new role',
+    parameters : [
+        { key : 'role_key', type : 'string', maxLength : 100 },
+        { key : 'description', type : 'string', optional : true, maxLength : 255 }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(await roleExists(tx, parms.role_key)) {
+            return apiUtils.error('The role already exists');
+        }
+        await tx.query('INSERT INTO '+config.db.auth_database+'.api_roles (role_key, description) VALUES (?, ?)', parms.role_key, parms.description);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/delete',
+    description : 'Deletes a role, users that had the role lose it',
+    parameters : [
+        { key : 'role_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_roles WHERE role_key=?', parms.role_key);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('The role does not exist');
+        }
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/set_permission',
+    description : 'Grants a permission to a role, or denies it explicitly',
+    parameters : [
+        { key : 'role_key', type : 'string' },
+        { key : 'permission_key', type : 'string' },
+        { key : 'deny', type : 'boolean', optional : true, default : false, description : 'If true users with the role do not have the permission, even if it is granted otherwise' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(!await roleExists(tx, parms.role_key)) {
+            return apiUtils.error('The role does not exist');
+        }
+        if(!await permissionExists(tx, parms.permission_key)) {
+            return apiUtils.error('The permission does not exist');
+        }
+        await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_role_permissions (role_key, permission_key, deny) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE deny=VALUES(deny)',
+            parms.role_key, parms.permission_key, (parms.deny ? 1 : 0)
+        );
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/remove_permission',
+    description : 'Removes a permission granted or denied to a role',
+    parameters : [
+        { key : 'role_key', type : 'string' },
+        { key : 'permission_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_role_permissions WHERE role_key=? AND permission_key=?', parms.role_key, parms.permission_key);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('The permission was neither granted nor denied to the role');
+        }
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/include',
+    description : 'Lets a role include another role, users with the role get everything the included role grants or denies',
+    parameters : [
+        { key : 'role_key', type : 'string' },
+        { key : 'included_role_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(!await roleExists(tx, parms.role_key) || !await roleExists(tx, parms.included_role_key)) {
+            return apiUtils.error('The role does not exist');
+        }
+        // a role must not include itself, directly or through other roles
+        if((await apiUtils.getIncludedRoles([parms.included_role_key], tx)).includes(parms.role_key)) {
+            return apiUtils.error('A role can not include itself or a role that includes it', ERROR_CODES.PARAM_RANGE);
+        }
+        await tx.query('INSERT IGNORE INTO '+config.db.auth_database+'.api_role_includes (role_key, included_role_key) VALUES (?, ?)', parms.role_key, parms.included_role_key);
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/exclude',
+    description : 'Removes a role included by another role',
+    parameters : [
+        { key : 'role_key', type : 'string' },
+        { key : 'included_role_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_role_includes WHERE role_key=? AND included_role_key=?', parms.role_key, parms.included_role_key);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('The role does not include this role');
+        }
+        apiUtils.invalidatePermissions(null, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/assign',
+    description : 'Assigns a role to a user',
+    parameters : [
+        { key : 'user_id', type : 'int' },
+        { key : 'role_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        if(await loadUser(tx, parms.user_id) === null) {
+            return apiUtils.error('User not found');
+        }
+        if(!await roleExists(tx, parms.role_key)) {
+            return apiUtils.error('The role does not exist');
+        }
+        await tx.query('INSERT IGNORE INTO '+config.db.auth_database+'.api_user_roles (user_id, role_key) VALUES (?, ?)', parms.user_id, parms.role_key);
+        apiUtils.invalidatePermissions(parms.user_id, tx);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/admin/roles/unassign',
+    description : 'Removes a role from a user',
+    parameters : [
+        { key : 'user_id', type : 'int' },
+        { key : 'role_key', type : 'string' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_roles'],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, tx }) => {
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_user_roles WHERE user_id=? AND role_key=?', parms.user_id, parms.role_key);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('The user does not have this role');
+        }
+        apiUtils.invalidatePermissions(parms.user_id, tx);
+        return apiUtils.success();
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// API-METHODS: AUDIT LOG
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/admin/audit/list',
+    description : 'Lists entries of the audit log, newest first. Only entries written by the database-sink can be listed',
+    parameters : [
+        { key : 'user_id', type : 'int', optional : true, description : 'Only list entries of this user, including calls made in its name' },
+        { key : 'actor_user_id', type : 'int', optional : true, description : 'Only list calls this user made as another user' },
+        { key : 'event', type : 'string', optional : true, description : '\'call\' for method calls or the name of a security event, e.g. \'login_failed\'' },
+        { key : 'method_path', type : 'string', optional : true },
+        { key : 'success', type : 'boolean', optional : true },
+        { key : 'from', type : 'datetime', optional : true },
+        { key : 'to', type : 'datetime', optional : true },
+        { key : 'limit', type : 'int', optional : true, default : 100, min : 1, max : 1000 },
+        { key : 'offset', type : 'int', optional : true, default : 0, min : 0 }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : ['admin_audit'],
+    transaction : false,
+    handler : async ({ parms, tx }) => {
+        let conditions = [];
+        let values = [];
+        let filters = {
+            user_id : 'user_id=?',
+            actor_user_id : 'actor_user_id=?',
+            event : 'event=?',
+            method_path : 'method_path=?',
+            success : 'success=?',
+            from : 'created_date>=?',
+            to : 'created_date<=?'
+        };
+        for(let key in filters) {
+            if(parms[key] !== null) {
+                conditions.push(filters[key]);
+                values.push(parms[key]);
+            }
+        }
+        let entries = await tx.query(
+            'SELECT * FROM '+config.db.auth_database+'.api_audit_log' +
+            (conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '') +
+            ' ORDER BY created_date DESC, audit_log_id DESC LIMIT ?,?',
+            ...values, parms.offset, parms.limit
+        );
+        for(let entry of entries) {
+            entry.parameters = (entry.parameters !== null ? JSON.parse(entry.parameters) : null);
+            entry.details = (entry.details !== null ? JSON.parse(entry.details) : null);
+        }
+        return apiUtils.success({ entries : entries });
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Loads a user without its password hash
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the query on
+ * @param {integer} userID ID of the user
+ * @returns {Object|null} the user, or null if it does not exist
+ */
+async function loadUser(tx, userID) {
+    let userResult = await tx.query(
+        'SELECT user_id, login_name, email, active, admin, created_date, last_login FROM '+config.db.auth_database+'.api_users WHERE user_id=?',
+        userID
+    );
+    return (userResult.length === 1 ? userResult[0] : null);
+}
+
+/**
+ * Checks whether a permission exists
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the query on
+ * @param {string} permissionKey key of the permission
+ * @returns {boolean} true if the permission exists
+ */
+async function permissionExists(tx, permissionKey) {
+    let permissionResult = await tx.query('SELECT permission_key FROM '+config.db.auth_database+'.api_permissions WHERE permission_key=?', permissionKey);
+    return permissionResult.length === 1;
+}
+
+/**
+ * Checks whether a role exists
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the query on
+ * @param {string} roleKey key of the role
+ * @returns {boolean} true if the role exists
+ */
+async function roleExists(tx, roleKey) {
+    let roleResult = await tx.query('SELECT role_key FROM '+config.db.auth_database+'.api_roles WHERE role_key=?', roleKey);
+    return roleResult.length === 1;
+}
+
+// ---------------------------------------------------------------------------------
+// EXPORT
+// ---------------------------------------------------------------------------------
+module.exports = apiModule;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// ---------------------------------------------------------------------------------
+// REQUIRED PREAMBLE
+// ---------------------------------------------------------------------------------
+const { APIModule, APIMethod, apiUtils, db, config } = require('../APIServer.js');
+var apiModule = new APIModule();
+
+const documentation = require('../APIDocumentation.js');
+
+// ---------------------------------------------------------------------------------
+// API-METHODS
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/introspection/methods',
+    description : 'Lists all methods of the API with their parameters and requirements',
+    parameters : [
+        { key : 'only_allowed', type : 'boolean', optional : true, default : false, description : 'If true only the methods the caller is allowed to call are listed' }
+    ],
+    requireSession : false,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : false,
+    handler : async ({ parms, session, methods }) => {
+        let allowedEndpoints = await apiUtils.getAllowedEndpoints(session, methods);
+
+        let descriptions = [];
+        for(let method of methods) {
+            let allowed = allowedEndpoints.includes(method.path);
+            if(parms.only_allowed && !allowed) {
+                continue;
+            }
+            descriptions.push({ ...documentation.describeMethod(method), allowed : allowed });
+        }
+
+        return apiUtils.success({ methods : descriptions });
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// EXPORT
+// ---------------------------------------------------------------------------------
+module.exports = apiModule;
\ No newline at end of file
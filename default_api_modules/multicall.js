@@ -4,23 +4,33 @@
 const { APIModule, APIMethod, apiUtils, db, config } = require('../APIServer.js');
 var apiModule = new APIModule();
 
+const { ERROR_CODES } = require('../APIConstants.js');
+
 // ---------------------------------------------------------------------------------
 // API-METHODS
 // ---------------------------------------------------------------------------------
 apiModule.addMethod(new APIMethod({
     path : '/multicall',
+    description : 'Executes multiple calls in one roundtrip',
     parameters : [
-        { key : 'content', type : 'json', optional : false }
+        { key : 'content', type : 'json', optional : false, schema : {
+            type : 'object',
+            properties : [
+                { key : 'calls', type : 'array', minItems : 1, items : {
+                    type : 'object',
+                    properties : [
+                        { key : 'method', type : 'string' },
+                        { key : 'breaking', type : 'boolean', optional : true, default : false }
+                    ]
+                } }
+            ]
+        } }
     ],
     requireSession : false,
     requireNoSession : false,
     requiredPermissions : [],
     transaction : false,
     handler : async ({ parms, session, request, response, methods }) => {
-        if(parms.content.calls === undefined || parms.content.calls === null || !Array.isArray(parms.content.calls)) {
-            return apiUtils.error('No calls transmitted for the multicall.');
-        }
-
         let responses = [];
         for(let call of parms.content.calls) {
 
@@ -29,7 +39,11 @@ apiModule.addMethod(new APIMethod({
             });
             if(method !== undefined && method !== null) {
                 try {
-                    let callResponse = await apiUtils.tryExecuteMethod(method, call, session, request, response, methods);
+                    // method and breaking belong to the multicall, not to the called method
+                    let callParms = { ...call };
+                    delete callParms.method;
+                    delete callParms.breaking;
+                    let callResponse = apiUtils.withoutDownload(await apiUtils.tryExecuteMethod(method, callParms, session, request, response, methods));
                     responses.push(apiUtils.makeClientResponse(callResponse));
 
                     // If the call changed anything about the session status (login/logout) propagate the change for the subsequent call
@@ -38,7 +52,7 @@ apiModule.addMethod(new APIMethod({
                     }
 
                     // If the call has a breaking-flag and the success-flag is false, then we do not continue executing the other calls
-                    if(call.breaking !== undefined && call.breaking === true && callResponse.success === false) {
+                    if(call.breaking && callResponse.success === false) {
                         break;
                     }
                 } catch(e) {
@@ -2,9 +2,232 @@
 // REQUIRED PREAMBLE
 // ---------------------------------------------------------------------------------
 const { APIModule, APIMethod, apiUtils, db, config } = require('../APIServer.js');
-var apiModule = new APIModule();
+var apiModule = new APIModule('session');
 
+const crypto = require('crypto');
 const { v4 : getUUID } = require('uuid');
+const passwords = require('../APIPasswords.js');
+const rateLimiter = require('../APIRateLimiter.js');
+const audit = require('../APIAudit.js');
+const migrator = require('../APIMigrator.js');
+const { ERROR_CODES } = require('../APIConstants.js');
+
+// ---------------------------------------------------------------------------------
+// MIGRATIONS
+// ---------------------------------------------------------------------------------
+apiModule.addMigration({
+    version : 1,
+    description : 'Create users, sessions, login-tokens and permissions',
+    up : async (tx) => {
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_users (' +
+            '  user_id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  login_name VARCHAR(100) NOT NULL,' +
+            '  password_hash VARCHAR(64) NOT NULL,' +
+            '  active TINYINT(1) NOT NULL DEFAULT 0,' +
+            '  admin TINYINT(1) NOT NULL DEFAULT 0,' +
+            '  created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,' +
+            '  last_login DATETIME NULL,' +
+            '  PRIMARY KEY (user_id),' +
+            '  UNIQUE KEY login_name (login_name)' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        // api_view_users may have been customized to join application data, so an existing view is left untouched
+        if(!await migrator.tableExists(tx, 'api_view_users')) {
+            await tx.query(
+                'CREATE VIEW '+config.db.auth_database+'.api_view_users AS' +
+                ' SELECT user_id, login_name, password_hash, active, admin, created_date, last_login' +
+                ' FROM '+config.db.auth_database+'.api_users'
+            );
+        }
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_sessions (' +
+            '  session_id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  user_id INT UNSIGNED NOT NULL,' +
+            '  session_token CHAR(36) NOT NULL,' +
+            '  start_date DATETIME NOT NULL,' +
+            '  last_action DATETIME NULL,' +
+            '  expiration_date DATETIME NOT NULL,' +
+            '  ip VARCHAR(45) NULL,' +
+            '  user_agent VARCHAR(200) NULL,' +
+            '  PRIMARY KEY (session_id),' +
+            '  UNIQUE KEY session_token (session_token),' +
+            '  KEY user_id (user_id),' +
+            '  KEY expiration_date (expiration_date),' +
+            '  FOREIGN KEY (user_id) REFERENCES '+config.db.auth_database+'.api_users (user_id) ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_login_tokens (' +
+            '  login_token_id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  login_token CHAR(36) NOT NULL,' +
+            '  expiration_date DATETIME NOT NULL,' +
+            '  ip VARCHAR(45) NULL,' +
+            '  user_agent VARCHAR(200) NULL,' +
+            '  PRIMARY KEY (login_token_id),' +
+            '  UNIQUE KEY login_token (login_token),' +
+            '  KEY client (ip, user_agent),' +
+            '  KEY expiration_date (expiration_date)' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_permissions (' +
+            '  permission_key VARCHAR(100) NOT NULL,' +
+            '  parent_key VARCHAR(100) NULL,' +
+            '  description VARCHAR(255) NULL,' +
+            '  PRIMARY KEY (permission_key),' +
+            '  KEY parent_key (parent_key),' +
+            '  FOREIGN KEY (parent_key) REFERENCES '+config.db.auth_database+'.api_permissions (permission_key) ON UPDATE CASCADE ON DELETE SET NULL' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_user_permissions (' +
+            '  user_id INT UNSIGNED NOT NULL,' +
+            '  permission_key VARCHAR(100) NOT NULL,' +
+            '  PRIMARY KEY (user_id, permission_key),' +
+            '  KEY permission_key (permission_key),' +
+            '  FOREIGN KEY (user_id) REFERENCES '+config.db.auth_database+'.api_users (user_id) ON DELETE CASCADE,' +
+            '  FOREIGN KEY (permission_key) REFERENCES '+config.db.auth_database+'.api_permissions (permission_key) ON UPDATE CASCADE ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        // permission checked by tryExecuteMethod for the as_user parameter
+        await tx.query('INSERT IGNORE INTO '+config.db.auth_database+'.api_permissions (permission_key, description) VALUES (?, ?)', 'as_user', 'Execute methods as other users');
+    }
+});
+
+apiModule.addMigration({
+    version : 2,
+    description : 'Make room for salted password hashes',
+    up : async (tx) => {
+        await tx.query('ALTER TABLE '+config.db.auth_database+'.api_users MODIFY password_hash VARCHAR(255) NOT NULL');
+    }
+});
+
+apiModule.addMigration({
+    version : 3,
+    description : 'Add roles and explicit denies',
+    up : async (tx) => {
+        if(!await migrator.columnExists(tx, 'api_user_permissions', 'deny')) {
+            await tx.query('ALTER TABLE '+config.db.auth_database+'.api_user_permissions ADD COLUMN deny TINYINT(1) NOT NULL DEFAULT 0');
+        }
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_roles (' +
+            '  role_key VARCHAR(100) NOT NULL,' +
+            '  description VARCHAR(255) NULL,' +
+            '  PRIMARY KEY (role_key)' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_role_includes (' +
+            '  role_key VARCHAR(100) NOT NULL,' +
+            '  included_role_key VARCHAR(100) NOT NULL,' +
+            '  PRIMARY KEY (role_key, included_role_key),' +
+            '  KEY included_role_key (included_role_key),' +
+            '  FOREIGN KEY (role_key) REFERENCES '+config.db.auth_database+'.api_roles (role_key) ON UPDATE CASCADE ON DELETE CASCADE,' +
+            '  FOREIGN KEY (included_role_key) REFERENCES '+config.db.auth_database+'.api_roles (role_key) ON UPDATE CASCADE ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_role_permissions (' +
+            '  role_key VARCHAR(100) NOT NULL,' +
+            '  permission_key VARCHAR(100) NOT NULL,' +
+            '  deny TINYINT(1) NOT NULL DEFAULT 0,' +
+            '  PRIMARY KEY (role_key, permission_key),' +
+            '  KEY permission_key (permission_key),' +
+            '  FOREIGN KEY (role_key) REFERENCES '+config.db.auth_database+'.api_roles (role_key) ON UPDATE CASCADE ON DELETE CASCADE,' +
+            '  FOREIGN KEY (permission_key) REFERENCES '+config.db.auth_database+'.api_permissions (permission_key) ON UPDATE CASCADE ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_user_roles (' +
+            '  user_id INT UNSIGNED NOT NULL,' +
+            '  role_key VARCHAR(100) NOT NULL,' +
+            '  PRIMARY KEY (user_id, role_key),' +
+            '  KEY role_key (role_key),' +
+            '  FOREIGN KEY (user_id) REFERENCES '+config.db.auth_database+'.api_users (user_id) ON DELETE CASCADE,' +
+            '  FOREIGN KEY (role_key) REFERENCES '+config.db.auth_database+'.api_roles (role_key) ON UPDATE CASCADE ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+    }
+});
+
+apiModule.addMigration({
+    version : 4,
+    description : 'Add API keys',
+    up : async (tx) => {
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_keys (' +
+            '  api_key_id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  user_id INT UNSIGNED NOT NULL,' +
+            '  name VARCHAR(100) NOT NULL,' +
+            '  key_hash CHAR(64) NOT NULL,' +
+            '  scopes TEXT NULL,' +
+            '  allowed_ips TEXT NULL,' +
+            '  created_date DATETIME NOT NULL,' +
+            '  expiration_date DATETIME NULL,' +
+            '  last_used DATETIME NULL,' +
+            '  PRIMARY KEY (api_key_id),' +
+            '  UNIQUE KEY key_hash (key_hash),' +
+            '  KEY user_id (user_id),' +
+            '  FOREIGN KEY (user_id) REFERENCES '+config.db.auth_database+'.api_users (user_id) ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+    }
+});
+
+apiModule.addMigration({
+    version : 5,
+    description : 'Create the audit log',
+    up : async (tx) => {
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_audit_log (' +
+            '  audit_log_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  created_date DATETIME(3) NOT NULL,' +
+            '  event VARCHAR(50) NOT NULL,' +
+            '  method_path VARCHAR(255) NULL,' +
+            '  user_id INT UNSIGNED NULL,' +
+            '  actor_user_id INT UNSIGNED NULL,' +
+            '  api_key_id INT UNSIGNED NULL,' +
+            '  ip VARCHAR(45) NULL,' +
+            '  user_agent VARCHAR(255) NULL,' +
+            '  success TINYINT(1) NOT NULL,' +
+            '  error_code VARCHAR(50) NULL,' +
+            '  duration INT UNSIGNED NULL,' +
+            '  parameters TEXT NULL,' +
+            '  details TEXT NULL,' +
+            '  PRIMARY KEY (audit_log_id),' +
+            '  KEY created_date (created_date),' +
+            '  KEY user_id (user_id, created_date),' +
+            '  KEY event (event, created_date)' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+    }
+});
+
+// ---------------------------------------------------------------------------------
+// RESPONSE SCHEMAS
+// ---------------------------------------------------------------------------------
+// the parts of a session clients get to see, internal IDs like session_id stay on the server
+const SESSION_SCHEMA = {
+    type : 'object',
+    properties : [
+        { key : 'token', type : 'uuid' },
+        { key : 'user_id', type : 'int' },
+        { key : 'admin', type : 'boolean' },
+        { key : 'start_date', type : 'datetime' },
+        { key : 'expiration_date', type : 'datetime', nullable : true }
+    ]
+};
 
 // ---------------------------------------------------------------------------------
 // API-METHODS
@@ -12,19 +235,28 @@ const { v4 : getUUID } = require('uuid');
 
 apiModule.addMethod(new APIMethod({
     path : '/session/request_login_token',
+    description : 'Issues a login-token bound to the client, required by /session/login',
     parameters : [],
     requireSession : false,
     requireNoSession : true,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
-        let token = await createToken(request);
+    rateLimit : { by : 'ip', limit : 20, window : 60 },
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'token', type : 'uuid' }
+        ]
+    },
+    handler : async ({ parms, request, response, session, tx }) => {
+        let token = await createToken(request, tx);
         return apiUtils.success({ token : token });
     }
 }));
 
 apiModule.addMethod(new APIMethod({
     path : '/session/check_session',
+    description : 'Checks whether a session-token is still valid',
     parameters : [
         { key : 'token', type : 'uuid' }
     ],
@@ -32,8 +264,20 @@ apiModule.addMethod(new APIMethod({
     requireNoSession : true,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
-        let sessionResult = await db.query('SELECT * FROM '+config.db.auth_database+'.api_sessions WHERE session_token=?', parms.token);
+    // issues login-tokens for unknown session-tokens, so it is limited like /session/request_login_token
+    rateLimit : { by : 'ip', limit : 20, window : 60 },
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'session_valid', type : 'boolean' },
+            { key : 'token', type : 'uuid', optional : true, description : 'login-token, only set if the session is not valid' },
+            { key : 'session', ...SESSION_SCHEMA, optional : true },
+            { key : 'allowed_endpoints', type : 'array', optional : true, items : { type : 'string' } }
+        ]
+    },
+    handler : async ({ parms, request, response, session, tx, methods }) => {
+        // sessions that expired but were not swept yet are not valid anymore
+        let sessionResult = await tx.query('SELECT * FROM '+config.db.auth_database+'.api_sessions WHERE session_token=? AND NOT '+apiUtils.sessionExpiredSQL(), parms.token);
         if(sessionResult === null) {
             return apiUtils.error('MySQL-Error while loading the session.');
         }
@@ -41,50 +285,68 @@ apiModule.addMethod(new APIMethod({
         if(sessionResult.length === 0) {
             // If no session was found, we issue a login-token immediately so the client can spare
             // a call to /session/request_login_token
-            let newToken = await createToken(request);
+            let newToken = await createToken(request, tx);
             return apiUtils.success({ session_valid : false, token : newToken });
         }
 
         let loadedSession = sessionResult[0];
-        loadedSession = await apiUtils.getSession(loadedSession.session_id);
-        let allowedEndpoints = await apiUtils.getAllowedEndpoints(loadedSession);
+        loadedSession = await apiUtils.getSession(loadedSession.session_id, tx);
+        let allowedEndpoints = await apiUtils.getAllowedEndpoints(loadedSession, methods);
         return apiUtils.success({ session_valid : true, session : loadedSession, allowed_endpoints : allowedEndpoints });
     }
 }));
 
 apiModule.addMethod(new APIMethod({
     path : '/session/login',
+    description : 'Logs a user in and creates a new session',
     parameters : [
         { key : 'username', type : 'string' },
-        { key : 'password_hash', type : 'sha256' }
+        { key : 'password', type : 'string', optional : true, description : 'The password (or the value the client derives from it), requires a valid login-token as well' },
+        { key : 'password_hash', type : 'sha256', optional : true, description : 'Legacy challenge: sha256(stored password hash + login-token)' }
     ],
     requireSession : false,
     requireNoSession : true,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
+    rateLimit : { by : 'ip', limit : 10, window : 60 },
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'session', ...SESSION_SCHEMA }
+        ]
+    },
+    handler : async ({ parms, request, response, session, tx }) => {
         // Check if the user exists
-        let userResult = await db.query('SELECT * FROM '+config.db.auth_database+'.api_view_users WHERE login_name=? LIMIT 0,1', parms.username);
+        let userResult = await tx.query('SELECT * FROM '+config.db.auth_database+'.api_view_users WHERE login_name=? LIMIT 0,1', parms.username);
         if(userResult === null || userResult === undefined) {
             return apiUtils.error('MySQL-Error while looking for the user')
         }
         if(userResult.length !== 1) {
+            await audit.event('login_failed', { request : request, success : false, details : { username : parms.username, reason : 'unknown_user' } });
             return apiUtils.error('User not found');
         }
         let user = userResult[0];
 
         // Check if the user account is activated
         if(!user.active) {
+            await audit.event('login_failed', { userID : user.user_id, request : request, success : false, details : { reason : 'inactive' } });
             return apiUtils.error('User account not activated');
         }
 
+        // Check if the account is locked after too many wrong passwords
+        let lockCheck = await rateLimiter.checkLogin(user.user_id);
+        if(!lockCheck.passed) {
+            await audit.event('login_failed', { userID : user.user_id, request : request, success : false, details : { reason : 'locked' } });
+            return apiUtils.rateLimited(lockCheck);
+        }
+
         // load the login-token previously issued to the client
         let ip = request.ip;
         let userAgent = (request.headers['user-agent'] !== undefined ? request.headers['user-agent'] : 'NO USER AGENT');
         if(userAgent.length > 200) {
             userAgent = userAgent.substr(0, 200);
         }
-        let loginTokenResult = await db.query('SELECT * FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=? LIMIT 0,1', ip, userAgent);
+        let loginTokenResult = await tx.query('SELECT * FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=? AND expiration_date > NOW() LIMIT 0,1', ip, userAgent);
         if(loginTokenResult === null) {
             return apiUtils.error('MySQL-Error while loading the login-token');
         }
@@ -94,21 +356,46 @@ apiModule.addMethod(new APIMethod({
         let loginToken = loginTokenResult[0]['login_token'];
 
         // Verify credentials
-        if(apiUtils.sha256(user.password_hash, loginToken).toLowerCase() !== parms.password_hash.toLowerCase()) {
-            return apiUtils.error('Wrong password');
+        if(parms.password !== null) {
+            if(!await passwords.verify(parms.password, user.password_hash)) {
+                await rateLimiter.loginFailed(user.user_id);
+                await audit.event('login_failed', { userID : user.user_id, request : request, success : false, details : { reason : 'wrong_password' } });
+                return apiUtils.error('Wrong password');
+            }
+            // replace legacy or outdated hashes now that the password is known
+            if(passwords.needsRehash(user.password_hash)) {
+                await tx.query('UPDATE '+config.db.auth_database+'.api_users SET password_hash=? WHERE user_id=?', await passwords.hash(parms.password), user.user_id);
+            }
+        } else if(parms.password_hash !== null) {
+            // the challenge can only be verified for legacy hashes that the client can compute itself
+            if(!config.passwords.allow_legacy_challenge || !passwords.isLegacy(user.password_hash)) {
+                return apiUtils.error('Please log in with the password parameter');
+            }
+            if(!passwords.verifyChallenge(user.password_hash, loginToken, parms.password_hash)) {
+                await rateLimiter.loginFailed(user.user_id);
+                await audit.event('login_failed', { userID : user.user_id, request : request, success : false, details : { reason : 'wrong_password' } });
+                return apiUtils.error('Wrong password');
+            }
+        } else {
+            return apiUtils.error('Required parameter password is missing.', ERROR_CODES.PARAM_MISSING);
         }
 
+        await rateLimiter.loginSucceeded(user.user_id);
+
         // Delete all issued login-tokens for this client
-        await db.query('DELETE FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=?', ip, userAgent);
+        await tx.query('DELETE FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=?', ip, userAgent);
 
         // Create the new session
-        let newSession = await apiUtils.createSession(user.user_id, ip, userAgent);
+        let newSession = await apiUtils.createSession(user.user_id, ip, userAgent, tx);
         if(newSession === null) {
             return apiUtils.error('An Error occured when creating the session');
         }
 
         // record login in user account
-        await db.query('UPDATE '+config.db.auth_database+'.api_users SET last_login=NOW() WHERE user_id=?', user.user_id);
+        await tx.query('UPDATE '+config.db.auth_database+'.api_users SET last_login=NOW() WHERE user_id=?', user.user_id);
+        tx.afterCommit(() => {
+            audit.event('login', { userID : user.user_id, request : request });
+        });
 
         return apiUtils.successSession({ session : newSession }, newSession);
     }
@@ -116,16 +403,26 @@ apiModule.addMethod(new APIMethod({
 
 apiModule.addMethod(new APIMethod({
     path : '/session/logout',
+    description : 'Ends the current session',
     parameters : [],
     requireSession : true,
     requireNoSession : false,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
+    handler : async ({ parms, request, response, session, tx }) => {
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('This method is not available for API keys', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('This method is not available while acting as another user', ERROR_CODES.PERMISSION_MISSING);
+        }
         // Delete session from database
-        if(!await apiUtils.deleteSession(session.session_id)) {
+        if(!await apiUtils.deleteSession(session.session_id, tx)) {
             return apiUtils.error('MySQL-Error while deleting the session');
         }
+        tx.afterCommit(() => {
+            audit.event('logout', { session : session, request : request });
+        });
 
         // pass empty session back, so subsequent calls (in a multicall) are logged out
         return apiUtils.successSession(null, null);
@@ -134,22 +431,32 @@ apiModule.addMethod(new APIMethod({
 
 apiModule.addMethod(new APIMethod({
     path : '/session/logout_others',
+    description : 'Ends all other sessions of the current user',
     parameters : [],
     requireSession : true,
     requireNoSession : false,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
+    handler : async ({ parms, request, response, session, tx }) => {
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('This method is not available for API keys', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('This method is not available while acting as another user', ERROR_CODES.PERMISSION_MISSING);
+        }
         // get other sessions
         let sqlGetOthers = 'SELECT * FROM '+config.db.auth_database+'.api_sessions WHERE user_id=? AND session_id!=?';
-        let otherSessions = await db.query(sqlGetOthers, session.user_id, session.session_id);
+        let otherSessions = await tx.query(sqlGetOthers, session.user_id, session.session_id);
 
         // remove all other sessions
         for(let otherSession of otherSessions) {
-            if(!await apiUtils.deleteSession(otherSession.session_id)) {
+            if(!await apiUtils.deleteSession(otherSession.session_id, tx)) {
                 return apiUtils.error('Error deleting one of the sessions');
             }
         }
+        tx.afterCommit(() => {
+            audit.event('logout_others', { session : session, request : request, details : { sessions : otherSessions.length } });
+        });
 
         return apiUtils.success();
     }
@@ -157,30 +464,189 @@ apiModule.addMethod(new APIMethod({
 
 apiModule.addMethod(new APIMethod({
     path : '/session/keep_alive',
+    description : 'Extends the current session',
     parameters : [],
     requireSession : true,
     requireNoSession : false,
     requiredPermissions : [],
     transaction : true,
-    handler : async ({ parms, request, response, session }) => {
-        if(!await db.query('UPDATE '+config.db.auth_database+'.api_sessions SET expiration_date=DATE_ADD(NOW(), INTERVAL 1 HOUR) WHERE session_id=?', session.session_id)) {
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'expires', type : 'datetime', nullable : true }
+        ]
+    },
+    handler : async ({ parms, request, response, session, tx }) => {
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('This method is not available for API keys', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('This method is not available while acting as another user', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(!await tx.query('UPDATE '+config.db.auth_database+'.api_sessions SET expiration_date='+apiUtils.sessionExpirationSQL()+' WHERE session_id=?', session.session_id)) {
             return apiUtils.error('MySQL-Error when updating the session expiration date');
         } else {
-            let expirationDate = await db.query('SELECT expiration_date FROM '+config.db.auth_database+'.api_sessions WHERE session_id=?', session.session_id)[0].expiration_date;
-            return apiUtils.success({ expires : expirationDate });
+            let expirationResult = await tx.query('SELECT expiration_date FROM '+config.db.auth_database+'.api_sessions WHERE session_id=?', session.session_id);
+            return apiUtils.success({ expires : expirationResult[0].expiration_date });
+        }
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/session/api_keys/create',
+    description : 'Creates an API key for the current user. The key is only returned once',
+    parameters : [
+        { key : 'name', type : 'string', maxLength : 100, description : 'Name to recognize the key by' },
+        { key : 'scopes', type : 'json', optional : true, description : 'Array of permissions, the key only has these (and their decendants) of the permissions of the user' },
+        { key : 'allowed_ips', type : 'json', optional : true, description : 'Array of IP-addresses or subnets in CIDR-notation the key can be used from' },
+        { key : 'expiration_date', type : 'datetime', optional : true, description : 'Date after which the key can not be used anymore' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : true,
+    audit : true,
+    rateLimit : { by : 'user', limit : 10, window : 3600 },
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'api_key_id', type : 'int' },
+            { key : 'key', type : 'string' }
+        ]
+    },
+    handler : async ({ parms, session, tx }) => {
+        if(!config.api_keys.enabled) {
+            return apiUtils.error('API keys are disabled', ERROR_CODES.PERMISSION_MISSING);
+        }
+        // keys must not be able to create keys, a scoped key could otherwise create an unscoped one
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('API keys can not be created with an API key', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('API keys can not be created while acting as another user', ERROR_CODES.PERMISSION_MISSING);
         }
+
+        if(parms.scopes !== null) {
+            if(!isStringArray(parms.scopes)) {
+                return apiUtils.error('Parameter scopes must be an array of permissions.', ERROR_CODES.PARAM_TYPE);
+            }
+            let permissionResult = (parms.scopes.length > 0
+                ? await tx.query('SELECT permission_key FROM '+config.db.auth_database+'.api_permissions WHERE permission_key IN (?)', parms.scopes)
+                : []);
+            if(permissionResult.length !== new Set(parms.scopes).size) {
+                return apiUtils.error('Parameter scopes contains unknown permissions.', ERROR_CODES.PARAM_RANGE);
+            }
+        }
+        if(parms.allowed_ips !== null) {
+            if(!isStringArray(parms.allowed_ips) || apiUtils.createIPAllowlist(parms.allowed_ips) === null) {
+                return apiUtils.error('Parameter allowed_ips must be an array of IP-addresses or subnets.', ERROR_CODES.PARAM_TYPE);
+            }
+        }
+
+        let key = 'mdk_' + crypto.randomBytes(32).toString('base64url');
+        let keyResult = await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_keys (user_id, name, key_hash, scopes, allowed_ips, created_date, expiration_date) VALUES (?, ?, ?, ?, ?, NOW(), ?)',
+            session.user_id, parms.name, apiUtils.sha256(key),
+            (parms.scopes !== null ? JSON.stringify(parms.scopes) : null),
+            (parms.allowed_ips !== null ? JSON.stringify(parms.allowed_ips) : null),
+            parms.expiration_date
+        );
+        return apiUtils.success({ api_key_id : keyResult.insertId, key : key });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/session/api_keys/list',
+    description : 'Lists the API keys of the current user',
+    parameters : [],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : false,
+    returns : {
+        type : 'object',
+        properties : [
+            { key : 'api_keys', type : 'array', items : {
+                type : 'object',
+                properties : [
+                    { key : 'api_key_id', type : 'int' },
+                    { key : 'name', type : 'string' },
+                    { key : 'scopes', type : 'array', nullable : true, items : { type : 'string' } },
+                    { key : 'allowed_ips', type : 'array', nullable : true, items : { type : 'string' } },
+                    { key : 'created_date', type : 'datetime' },
+                    { key : 'expiration_date', type : 'datetime', nullable : true },
+                    { key : 'last_used', type : 'datetime', nullable : true }
+                ]
+            } }
+        ]
+    },
+    handler : async ({ session, tx }) => {
+        // a scoped key must not be able to see or revoke the other keys of the user
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('This method is not available for API keys', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('This method is not available while acting as another user', ERROR_CODES.PERMISSION_MISSING);
+        }
+        let keys = await tx.query(
+            'SELECT api_key_id, name, scopes, allowed_ips, created_date, expiration_date, last_used FROM '+config.db.auth_database+'.api_keys WHERE user_id=? ORDER BY created_date',
+            session.user_id
+        );
+        for(let key of keys) {
+            key.scopes = (key.scopes !== null ? JSON.parse(key.scopes) : null);
+            key.allowed_ips = (key.allowed_ips !== null ? JSON.parse(key.allowed_ips) : null);
+        }
+        return apiUtils.success({ api_keys : keys });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/session/api_keys/revoke',
+    description : 'Revokes an API key of the current user',
+    parameters : [
+        { key : 'api_key_id', type : 'int' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : true,
+    audit : true,
+    handler : async ({ parms, session, tx }) => {
+        if(session.api_key_id !== undefined) {
+            return apiUtils.error('This method is not available for API keys', ERROR_CODES.PERMISSION_MISSING);
+        }
+        if(session.actor_user_id !== undefined) {
+            return apiUtils.error('This method is not available while acting as another user', ERROR_CODES.PERMISSION_MISSING);
+        }
+        let result = await tx.query('DELETE FROM '+config.db.auth_database+'.api_keys WHERE api_key_id=? AND user_id=?', parms.api_key_id, session.user_id);
+        if(result.affectedRows === 0) {
+            return apiUtils.error('API key not found');
+        }
+        return apiUtils.success();
     }
 }));
 
 // ---------------------------------------------------------------------------------
 // HELPER FUNCTIONS
 // ---------------------------------------------------------------------------------
+/**
+ * Checks whether a value is an array of non-empty strings
+ * @param {any} value the value to check
+ * @returns {boolean} true if the value is an array of strings
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.every((item) => {
+        return typeof item === 'string' && item.length > 0;
+    });
+}
+
 /**
  * Creates a login-token for the client of the request
  * @param {Object} request 
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
  * @returns {string} newly created login-token
  */
-async function createToken(request) {
+async function createToken(request, tx) {
     // Bind token to the client by recording its IP and hostname
     let ip = request.ip;
     let userAgent = (request.headers['user-agent'] !== undefined ? request.headers['user-agent'] : 'NO USER AGENT');
@@ -192,12 +658,12 @@ async function createToken(request) {
     let token = getUUID();
 
     // Delete all previously issued tokens of the client
-    await db.query('DELETE FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=?', ip, userAgent);
+    await tx.query('DELETE FROM '+config.db.auth_database+'.api_login_tokens WHERE ip=? AND user_agent=?', ip, userAgent);
     
-    // Store new token for 1 hour
-    let result = await db.query(
-        'INSERT INTO '+config.db.auth_database+'.api_login_tokens (expiration_date, ip, user_agent, login_token) VALUES(DATE_ADD(NOW(), INTERVAL 1 HOUR), ?, ?, ?);',
-        ip, userAgent, token
+    // Store new token for config.session.login_token_ttl seconds
+    let result = await tx.query(
+        'INSERT INTO '+config.db.auth_database+'.api_login_tokens (expiration_date, ip, user_agent, login_token) VALUES(DATE_ADD(NOW(), INTERVAL ? SECOND), ?, ?, ?);',
+        parseInt(config.session.login_token_ttl), ip, userAgent, token
     );
 
     return token;
@@ -0,0 +1,306 @@
+// ---------------------------------------------------------------------------------
+// REQUIRED PREAMBLE
+// ---------------------------------------------------------------------------------
+const { APIModule, APIMethod, apiUtils, db, config, mailer } = require('../APIServer.js');
+var apiModule = new APIModule('users');
+
+const { v4 : getUUID } = require('uuid');
+const passwords = require('../APIPasswords.js');
+const migrator = require('../APIMigrator.js');
+const audit = require('../APIAudit.js');
+const { ERROR_CODES } = require('../APIConstants.js');
+
+// Purposes of the one-time tokens stored in api_user_tokens
+const TOKEN_ACTIVATION = 'activation';
+const TOKEN_PASSWORD_RESET = 'password_reset';
+
+// ---------------------------------------------------------------------------------
+// MIGRATIONS
+// ---------------------------------------------------------------------------------
+apiModule.addMigration({
+    version : 1,
+    description : 'Add email-addresses and one-time tokens for users',
+    up : async (tx) => {
+        if(!await migrator.columnExists(tx, 'api_users', 'email')) {
+            await tx.query('ALTER TABLE '+config.db.auth_database+'.api_users ADD COLUMN email VARCHAR(255) NULL AFTER login_name, ADD UNIQUE KEY email (email)');
+        }
+
+        await tx.query(
+            'CREATE TABLE IF NOT EXISTS '+config.db.auth_database+'.api_user_tokens (' +
+            '  user_token_id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+            '  user_id INT UNSIGNED NOT NULL,' +
+            '  purpose VARCHAR(32) NOT NULL,' +
+            '  token_hash CHAR(64) NOT NULL,' +
+            '  created_date DATETIME NOT NULL,' +
+            '  expiration_date DATETIME NOT NULL,' +
+            '  used_date DATETIME NULL,' +
+            '  PRIMARY KEY (user_token_id),' +
+            '  UNIQUE KEY token_hash (token_hash),' +
+            '  KEY user_purpose (user_id, purpose),' +
+            '  FOREIGN KEY (user_id) REFERENCES '+config.db.auth_database+'.api_users (user_id) ON DELETE CASCADE' +
+            ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+        );
+    }
+});
+
+// ---------------------------------------------------------------------------------
+// API-METHODS
+// ---------------------------------------------------------------------------------
+apiModule.addMethod(new APIMethod({
+    path : '/users/register',
+    description : 'Creates a new, inactive user account and sends an activation-mail',
+    parameters : [
+        { key : 'login_name', type : 'string', maxLength : 100 },
+        { key : 'email', type : 'email', maxLength : 255 },
+        { key : 'password', type : 'string' }
+    ],
+    requireSession : false,
+    requireNoSession : true,
+    requiredPermissions : [],
+    transaction : true,
+    rateLimit : { by : 'ip', limit : 5, window : 3600 },
+    handler : async ({ parms, tx, log }) => {
+        if(!config.users.registration) {
+            return apiUtils.error('Registration is disabled', ERROR_CODES.PERMISSION_MISSING);
+        }
+        let passwordCheck = checkPassword(parms.password);
+        if(!passwordCheck.passed) {
+            return apiUtils.error(passwordCheck.reason, passwordCheck.errorCode);
+        }
+
+        // login names and email-addresses must be unique
+        let existing = await tx.query('SELECT user_id FROM '+config.db.auth_database+'.api_users WHERE login_name=? OR email=? LIMIT 0,1', parms.login_name, parms.email);
+        if(existing.length > 0) {
+            return apiUtils.error('The login name or email-address is already in use');
+        }
+
+        let userResult = await tx.query(
+            'INSERT INTO '+config.db.auth_database+'.api_users (login_name, email, password_hash, active) VALUES (?, ?, ?, 0)',
+            parms.login_name, parms.email, await passwords.hash(parms.password)
+        );
+        let userID = userResult.insertId;
+
+        let token = await createUserToken(tx, userID, TOKEN_ACTIVATION, config.users.activation_ttl);
+        // the token only exists once the transaction is committed
+        tx.afterCommit(() => {
+            sendTokenMail(parms.email, parms.login_name, TOKEN_ACTIVATION, token, config.users.activation_url).catch((err) => {
+                log.error('Error sending the activation-mail', { user_id : userID, error : err });
+            });
+        });
+
+        return apiUtils.success({ user_id : userID });
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/users/activate',
+    description : 'Activates a user account with the token sent in the activation-mail',
+    parameters : [
+        { key : 'activation_token', type : 'uuid' }
+    ],
+    requireSession : false,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : true,
+    rateLimit : { by : 'ip', limit : 10, window : 60 },
+    handler : async ({ parms, tx }) => {
+        let userID = await consumeUserToken(tx, TOKEN_ACTIVATION, parms.activation_token);
+        if(userID === null) {
+            return apiUtils.error('The activation-token is invalid or has expired');
+        }
+        await tx.query('UPDATE '+config.db.auth_database+'.api_users SET active=1 WHERE user_id=?', userID);
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/users/change_password',
+    description : 'Changes the password of the logged in user',
+    parameters : [
+        { key : 'old_password', type : 'string' },
+        { key : 'new_password', type : 'string' },
+        { key : 'logout_others', type : 'boolean', optional : true, default : false, description : 'If true all other sessions of the user are ended' }
+    ],
+    requireSession : true,
+    requireNoSession : false,
+    requiredPermissions : [],
+    transaction : true,
+    rateLimit : { by : 'user', limit : 10, window : 300 },
+    handler : async ({ parms, session, request, tx }) => {
+        let userResult = await tx.query('SELECT password_hash FROM '+config.db.auth_database+'.api_users WHERE user_id=?', session.user_id);
+        if(userResult.length !== 1) {
+            return apiUtils.error('User not found');
+        }
+        if(!await passwords.verify(parms.old_password, userResult[0].password_hash)) {
+            return apiUtils.error('Wrong password');
+        }
+        let passwordCheck = checkPassword(parms.new_password);
+        if(!passwordCheck.passed) {
+            return apiUtils.error(passwordCheck.reason, passwordCheck.errorCode);
+        }
+
+        await tx.query('UPDATE '+config.db.auth_database+'.api_users SET password_hash=? WHERE user_id=?', await passwords.hash(parms.new_password), session.user_id);
+
+        if(parms.logout_others) {
+            await apiUtils.deleteUserSessions(session.user_id, tx, session.session_id);
+        }
+        tx.afterCommit(() => {
+            audit.event('password_changed', { session : session, request : request, details : { logout_others : parms.logout_others } });
+        });
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/users/request_password_reset',
+    description : 'Sends a mail with a password-reset-token to the user with the given login name or email-address',
+    parameters : [
+        { key : 'login', type : 'string', description : 'login name or email-address of the user' }
+    ],
+    requireSession : false,
+    requireNoSession : true,
+    requiredPermissions : [],
+    transaction : true,
+    rateLimit : { by : 'ip', limit : 5, window : 3600 },
+    handler : async ({ parms, tx, log }) => {
+        let userResult = await tx.query(
+            'SELECT user_id, login_name, email FROM '+config.db.auth_database+'.api_users WHERE (login_name=? OR email=?) AND active=1 AND email IS NOT NULL LIMIT 0,1',
+            parms.login, parms.login
+        );
+        // The response is the same whether the user exists or not, so it can not be used to find out which accounts exist.
+        // For the same reason the mail is sent after the response, errors and the time it takes must not show in it.
+        if(userResult.length === 1) {
+            let user = userResult[0];
+            let token = await createUserToken(tx, user.user_id, TOKEN_PASSWORD_RESET, config.users.password_reset_ttl);
+            tx.afterCommit(() => {
+                sendTokenMail(user.email, user.login_name, TOKEN_PASSWORD_RESET, token, config.users.password_reset_url).catch((err) => {
+                    log.error('Error sending the password-reset-mail', { user_id : user.user_id, error : err });
+                });
+            });
+        }
+        return apiUtils.success();
+    }
+}));
+
+apiModule.addMethod(new APIMethod({
+    path : '/users/reset_password',
+    description : 'Sets a new password with the token sent in the password-reset-mail and ends all sessions of the user',
+    parameters : [
+        { key : 'reset_token', type : 'uuid' },
+        { key : 'password', type : 'string' }
+    ],
+    requireSession : false,
+    requireNoSession : true,
+    requiredPermissions : [],
+    transaction : true,
+    rateLimit : { by : 'ip', limit : 10, window : 60 },
+    handler : async ({ parms, request, tx }) => {
+        let passwordCheck = checkPassword(parms.password);
+        if(!passwordCheck.passed) {
+            return apiUtils.error(passwordCheck.reason, passwordCheck.errorCode);
+        }
+        let userID = await consumeUserToken(tx, TOKEN_PASSWORD_RESET, parms.reset_token);
+        if(userID === null) {
+            return apiUtils.error('The reset-token is invalid or has expired');
+        }
+
+        await tx.query('UPDATE '+config.db.auth_database+'.api_users SET password_hash=? WHERE user_id=?', await passwords.hash(parms.password), userID);
+
+        // whoever knew the old password must not stay logged in, and older reset-tokens must not work anymore
+        await apiUtils.deleteUserSessions(userID, tx);
+        await tx.query('UPDATE '+config.db.auth_database+'.api_user_tokens SET used_date=NOW() WHERE user_id=? AND purpose=? AND used_date IS NULL', userID, TOKEN_PASSWORD_RESET);
+        tx.afterCommit(() => {
+            audit.event('password_reset', { userID : userID, request : request });
+        });
+        return apiUtils.success();
+    }
+}));
+
+// ---------------------------------------------------------------------------------
+// HELPER FUNCTIONS
+// ---------------------------------------------------------------------------------
+/**
+ * Checks whether a new password fulfills the requirements
+ * @param {string} password the password to check
+ * @returns {VerificationResult} Object representing whether the password can be used
+ */
+function checkPassword(password) {
+    if(password.length < config.users.min_password_length) {
+        return {
+            passed : false,
+            reason : 'The password is too short, the minimum length is ' + config.users.min_password_length + '.',
+            errorCode : ERROR_CODES.PARAM_RANGE
+        };
+    }
+    return {
+        passed : true
+    };
+}
+
+/**
+ * Creates a one-time token for a user. Only the hash of the token is stored.
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
+ * @param {integer} userID ID of the user the token belongs to
+ * @param {string} purpose what the token can be used for
+ * @param {integer} ttl seconds the token stays valid
+ * @returns {string} the token
+ */
+async function createUserToken(tx, userID, purpose, ttl) {
+    // remove expired tokens of the user while we are at it
+    await tx.query('DELETE FROM '+config.db.auth_database+'.api_user_tokens WHERE user_id=? AND expiration_date < NOW()', userID);
+
+    let token = getUUID();
+    await tx.query(
+        'INSERT INTO '+config.db.auth_database+'.api_user_tokens (user_id, purpose, token_hash, created_date, expiration_date) VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND))',
+        userID, purpose, apiUtils.sha256(token), parseInt(ttl)
+    );
+    return token;
+}
+
+/**
+ * Marks a valid one-time token as used
+ * @param {APIDatabaseConnection|APIDatabase} tx Database handle to run the queries on
+ * @param {string} purpose what the token is used for
+ * @param {string} token the token
+ * @returns {integer|null} the ID of the user the token belongs to, or null if the token is not valid
+ */
+async function consumeUserToken(tx, purpose, token) {
+    let tokenResult = await tx.query(
+        'SELECT user_token_id, user_id FROM '+config.db.auth_database+'.api_user_tokens' +
+        ' WHERE token_hash=? AND purpose=? AND used_date IS NULL AND expiration_date > NOW() FOR UPDATE',
+        apiUtils.sha256(token.toLowerCase()), purpose
+    );
+    if(tokenResult.length !== 1) {
+        return null;
+    }
+    await tx.query('UPDATE '+config.db.auth_database+'.api_user_tokens SET used_date=NOW() WHERE user_token_id=?', tokenResult[0].user_token_id);
+    return tokenResult[0].user_id;
+}
+
+/**
+ * Sends a mail containing a one-time token to a user
+ * @param {string} email email-address of the user
+ * @param {string} loginName login name of the user
+ * @param {string} purpose what the token can be used for, used as template name
+ * @param {string} token the token
+ * @param {string|null} urlTemplate URL the user shall open, {token} is replaced with the token
+ */
+async function sendTokenMail(email, loginName, purpose, token, urlTemplate) {
+    let url = (urlTemplate !== null ? urlTemplate.replace('{token}', encodeURIComponent(token)) : null);
+    let action = (purpose === TOKEN_ACTIVATION ? 'activate your account' : 'reset your password');
+    let text = 'Hello ' + loginName + ',\n\n' +
+        (url !== null ? 'please open the following link to ' + action + ':\n' + url : 'please use the following token to ' + action + ':\n' + token) +
+        '\n';
+    await mailer.send({
+        to : email,
+        subject : (purpose === TOKEN_ACTIVATION ? 'Activate your account' : 'Reset your password'),
+        text : text,
+        template : purpose,
+        data : { login_name : loginName, token : token, url : url }
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// EXPORT
+// ---------------------------------------------------------------------------------
+module.exports = apiModule;
\ No newline at end of file